@@ -6,8 +6,10 @@
  */
 
 const { BaselineNudgeGenerator } = require('../src/nudge-generator');
+const { getFormatterNames, resolveFormatter } = require('../src/output-formatters');
 const { validateConfigFile } = require('../src/config-validator');
-const { withErrorHandling } = require('../src/error-handler');
+const { expandConfig } = require('../src/type-scale');
+const { withErrorHandling, ConfigurationError } = require('../src/error-handler');
 const path = require('path');
 const fs = require('fs');
 
@@ -32,12 +34,18 @@ COMMANDS:
   init-manual [name]      Create example configuration file (requires manual font setup)
 
 🎨 Generation:
-  generate <config.json> [output-dir]     Generate JSON tokens and HTML demo from configuration
-  generate-legacy <config.json> [output.scss]  Generate SCSS file from legacy configuration
+  generate <config.json> [output-dir]     Generate JSON tokens and HTML demo from configuration (--dry-run to preview)
+  generate-legacy <config.json> [output.scss]  Generate SCSS file (legacy maps, or type maps and mixin)
   watch <config.json> [output.scss]       Watch configuration file and regenerate on changes
 
 🔧 Utilities:
   validate <config.json>                  Validate configuration file
+  suggest <config.json>                   Suggest line heights (and resulting nudges) for each element
+  expand <config.json> [output.json]      Write the config with its type scale expanded into elements
+  optimize <config.json>                  Rank baseline units and line heights by nudge error
+  explain <config.json> [identifier]      Show every step of the nudge calculation per element
+  simulate <config.json> [identifier]     Simulate device pixel rounding and flag baselines drifting off the grid
+  export <config.json> <format> [output]  Export the tokens with any output format (dtcg, tailwind, typescript, ios, compose, css, ...)
   decompress-woff2 <input.woff2> [output.ttf]  Decompress WOFF2 file to TTF
 
 OPTIONS:
@@ -45,6 +53,7 @@ OPTIONS:
   --info                  Show detailed package information for LLMs
   -v, --version           Show version number
   --parser <parser>       Specify font parser: 'opentype' or 'fontkit' (default: opentype)
+  --dry-run               generate: print a diff of every file instead of writing
 
 FONT FORMAT SUPPORT:
   ✅ TTF (TrueType)       Full support with metrics extraction
@@ -86,7 +95,9 @@ CONFIGURATION FORMATS:
 OUTPUT FILES:
   • tokens.json           Design tokens with calculated nudges and font properties
   • index.html           Visual demo with baseline grid overlay and typography examples
-  • _generated-nudges.scss  SCSS variables (legacy format only)
+  • typography.css       Standalone stylesheet with @font-face, element rules and grid utility
+  • custom-properties.css  CSS variables (--type-h1-font-size, --baseline-unit, ...) for theming
+  • _generated-nudges.scss  SCSS variables and maps (generate-legacy)
 
 EXAMPLES:
 
@@ -98,6 +109,7 @@ Quick Start:
 Generation:
   baseline-nudges generate config.json                    # Generate to dist/
   baseline-nudges generate config.json custom-output     # Generate to custom directory
+  baseline-nudges generate config.json --dry-run           # Show what would change in dist/
 
 Legacy SCSS:
   baseline-nudges generate-legacy config.json            # Generate SCSS file
@@ -105,6 +117,13 @@ Legacy SCSS:
 
 Validation:
   baseline-nudges validate config.json                   # Validate configuration
+  baseline-nudges suggest config.json                    # Suggest line heights for each element
+  baseline-nudges expand config.json                     # Write config.expanded.json
+  baseline-nudges optimize config.json --unit-step 0.125 --min-ratio 1.2 --max-ratio 1.6
+  baseline-nudges explain config.json h1                 # Trace the nudge calculation of h1
+  baseline-nudges simulate config.json --dpr 1,2,3 --root 16,20 --lines 30
+  baseline-nudges export config.json dtcg                # Write dist/tokens.dtcg.json
+  baseline-nudges export config.json compose --package com.acme.ui  # Write dist/BaselineTypography.kt
 
 Font Utilities:
   baseline-nudges decompress-woff2 font.woff2 font.ttf  # Decompress WOFF2
@@ -230,9 +249,25 @@ index.html:
 • CSS with calculated nudges and font properties
 • Responsive design with proper font loading
 
-_generated-nudges.scss (legacy only):
+typography.css:
+• @font-face rules with relative (or css.fontUrl) font URLs
+• Element rules with nudges as class, element or attribute selectors
+• .u-baseline-grid overlay utility (css.grid: false to omit)
+
+custom-properties.css:
+• :root variables per element: font size, line height, nudge, space after
+• Prefix and naming pattern set with customProperties.prefix / namePattern
+• customProperties.calc: line heights and spacing as calc() on --baseline-unit
+
+outputs (config):
+• [{ "format": "css", "path": "css/", "options": { "selector": "element" } }, ...] replaces the default files
+• Any format of the export command; paths are relative to the output directory
+• "formatters": ["./my-formatter.js"] loads modules exporting { name, extension, format }
+
+_generated-nudges.scss (generate-legacy):
 • SCSS variables for legacy integration
 • Compatible with existing SCSS workflows
+• fontFiles configs: $font-families, $type-elements and @mixin type($name)
 
 CLI COMMANDS:
 
@@ -243,12 +278,30 @@ Setup & Initialization:
 • init-manual [name]: Create example config (manual font setup)
 
 Generation:
-• generate <config.json> [output-dir]: Generate JSON tokens and HTML demo
+• generate <config.json> [output-dir]: Generate JSON tokens and HTML demo; --dry-run prints a unified diff against
+  the files on disk and writes nothing
 • generate-legacy <config.json> [output.scss]: Generate SCSS file
 • watch <config.json> [output.scss]: Watch and regenerate on changes
 
 Utilities:
 • validate <config.json>: Validate configuration file
+• suggest <config.json>: Suggest line heights and show the resulting nudges
+• expand <config.json> [output.json]: Expand the type scale into explicit elements
+• optimize <config.json>: Search baseline units (--unit-step, --min-unit, --max-unit) and line heights
+  (--min-ratio, --max-ratio, --line-height-step) with the smallest nudges relative to the unit; --top limits the table
+  (the config needs fonts and font sizes, baselineUnit and lineHeight are optional)
+• explain <config.json> [identifier]: Trace the nudge calculation of every element (or one), with units
+• simulate <config.json> [identifier]: Lay out --lines lines (default 20) in blocks of --lines-per-block (default 3)
+  at each device pixel ratio (--dpr, default 1,2) and root size (--root) and flag drift of --threshold device px
+• export <config.json> <format> [output]: Write the tokens in another format to output, a file or a directory (default dist/):
+  dtcg → tokens.dtcg.json (W3C Design Tokens Community Group format)
+  style-dictionary → tokens.style-dictionary.json (Style Dictionary source, see createStyleDictionaryConfig)
+  tailwind → tailwind.preset.js (Tailwind CSS preset with fontSize, baseline spacing and .text-{identifier})
+  typescript → tokens.ts, esm → tokens.mjs, esm-types → tokens.d.mts (typed token module)
+  ios → Typography.swift, android → typography.xml, compose → BaselineTypography.kt (sizes in pt or sp/dp
+  with a baseline offset per platform; --package sets the Kotlin package of compose)
+  json, html, css, custom-properties, fallbacks, fluid, scss (the files of generate) and the formats of
+  the config formatters modules
 • decompress-woff2 <input.woff2> [output.ttf]: Decompress WOFF2 file
 
 API USAGE:
@@ -380,6 +433,111 @@ function showVersion() {
     console.log(packageJson.version);
 }
 
+/**
+ * Load a configuration file and the metrics of its fonts
+ * @param {string} inputPath - Path to the configuration file
+ * @param {Object} validationOptions - Options for validateConfigFile
+ * @returns {Promise<Object>} generator, config and fontMetricsMap
+ */
+async function loadConfigWithMetrics(inputPath, validationOptions = {}) {
+    const validation = validateConfigFile(inputPath, validationOptions);
+    if (!validation.isValid) {
+        throw new ConfigurationError(`Configuration validation failed:\n${validation.errors.join('\n')}`, inputPath);
+    }
+
+    const config = expandConfig(JSON.parse(fs.readFileSync(inputPath, 'utf8')));
+    if (!config.elements) {
+        throw new ConfigurationError('This command needs the elements format (legacy fontSizes/lineHeights is not supported)', inputPath);
+    }
+
+    const generator = new BaselineNudgeGenerator();
+    const fontMetricsMap = await generator.loadFontMetrics(config, inputPath);
+    return { generator, config, fontMetricsMap };
+}
+
+/**
+ * Print rows as a left-aligned text table
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array<string>>} rows - Table rows
+ */
+function printTable(headers, rows) {
+    const widths = headers.map((header, index) => Math.max(header.length, ...rows.map(row => String(row[index]).length)));
+    const formatRow = row => row.map((cell, index) => String(cell).padEnd(widths[index])).join('  ').trimEnd();
+    console.log(`   ${formatRow(headers)}`);
+    console.log(`   ${widths.map(width => '-'.repeat(width)).join('  ')}`);
+    rows.forEach(row => console.log(`   ${formatRow(row)}`));
+}
+
+/**
+ * Read a numeric --option value from the command line
+ * @param {string} name - Option name including the leading dashes
+ * @returns {number|undefined} Parsed value, or undefined when the option is not given
+ */
+function getNumericOption(name) {
+    const index = process.argv.indexOf(name);
+    if (index === -1) {
+        return undefined;
+    }
+    const value = parseFloat(process.argv[index + 1]);
+    if (isNaN(value) || value <= 0) {
+        throw new ConfigurationError(`${name} needs a positive number`);
+    }
+    return value;
+}
+
+/**
+ * Read a comma-separated list of numbers from a --option value
+ * @param {string} name - Option name including the leading dashes
+ * @returns {number[]|undefined} Parsed values, or undefined when the option is not given
+ */
+function getNumericListOption(name) {
+    const index = process.argv.indexOf(name);
+    if (index === -1) {
+        return undefined;
+    }
+    const values = String(process.argv[index + 1] || '').split(',').map(value => parseFloat(value));
+    if (values.some(value => isNaN(value) || value <= 0)) {
+        throw new ConfigurationError(`${name} needs a comma-separated list of positive numbers`);
+    }
+    return values;
+}
+
+/**
+ * Read a string --option value from the command line
+ * @param {string} name - Option name including the leading dashes
+ * @returns {string|undefined} Value, or undefined when the option is not given
+ */
+function getStringOption(name) {
+    const index = process.argv.indexOf(name);
+    if (index === -1) {
+        return undefined;
+    }
+    const value = process.argv[index + 1];
+    if (!value || value.startsWith('--')) {
+        throw new ConfigurationError(`${name} needs a value`);
+    }
+    return value;
+}
+
+/**
+ * Print the diffs of a dry run and the files it would create or change
+ * @param {Object} result - generateFiles result with { write: false }
+ * @param {string} outputDir - Output directory
+ */
+function printDryRun(result, outputDir) {
+    if (result.warnings.length > 0) {
+        console.warn('⚠️  Configuration warnings:');
+        result.warnings.forEach(warning => console.warn(`   ${warning}`));
+    }
+    result.files.filter(file => file.diff).forEach(file => process.stdout.write(file.diff));
+
+    const symbols = { create: '+', modify: '~', unchanged: '=' };
+    const count = status => result.files.filter(file => file.status === status).length;
+    console.log('');
+    console.log(`🔍 Dry run for ${outputDir}: ${count('create')} to create, ${count('modify')} to modify, ${count('unchanged')} unchanged (nothing written)`);
+    result.files.forEach(file => console.log(`   ${symbols[file.status]} ${file.path}`));
+}
+
 function createExampleConfig(name = 'typography-config') {
     const baselineUnit = 0.5;
     const fontSizes = [
@@ -392,15 +550,11 @@ function createExampleConfig(name = 'typography-config') {
         { classname: 'p', fontSize: 1 }
     ];
 
-    // Calculate line-height based on font-size for good readability
-    const elements = fontSizes.map(element => {
-        const baselineUnitsInFontSize = Math.ceil(element.fontSize / baselineUnit);
-        const lineHeightInBaselineUnits = baselineUnitsInFontSize + 1;
-        return {
-            ...element,
-            lineHeight: lineHeightInBaselineUnits
-        };
-    });
+    // Let the line-height solver pick the multiple with the smallest nudge for the font
+    const elements = fontSizes.map(element => ({
+        ...element,
+        lineHeight: 'auto'
+    }));
 
     const config = {
         font: 'Inter',
@@ -434,11 +588,11 @@ async function createExampleConfigWithFont(name = 'typography-config') {
         console.log(`   • Elements: ${config.elements.length} typography elements`);
         console.log(`   • Font file: ${config.fontFile} (✅ Downloaded and verified)`);
         console.log('');
-        console.log('💡 Typography scale:');
+        console.log('💡 Typography scale (line heights chosen for the font when you generate):');
         for (const element of config.elements) {
-            const lineHeightRem = element.lineHeight * config.baselineUnit;
-            console.log(`   • ${element.classname}: ${element.fontSize}rem / ${lineHeightRem}rem`);
+            console.log(`   • ${element.classname}: ${element.fontSize}rem / ${element.lineHeight}`);
         }
+        console.log('   Run baseline-nudges suggest to see the chosen line heights and their nudges');
         console.log('');
         console.log('🚀 Ready to generate:');
         console.log(`   baseline-nudges generate ${filename}`);
@@ -564,11 +718,12 @@ async function main() {
         const inputPath = args[1];
         if (!inputPath) {
             console.error('❌ Error: Input configuration file required');
-            console.log('Usage: baseline-nudges generate <config.json> [output-dir]');
+            console.log('Usage: baseline-nudges generate <config.json> [output-dir] [--dry-run]');
             process.exit(1);
         }
 
-        const outputDir = args[2] || 'dist';
+        const outputDir = args[2] && !args[2].startsWith('--') ? args[2] : 'dist';
+        const dryRun = args.includes('--dry-run');
 
         const parserArgIndex = process.argv.indexOf('--parser');
         let parser = 'opentype';
@@ -578,10 +733,16 @@ async function main() {
 
         const generateWithErrorHandling = withErrorHandling(async () => {
             const generator = new BaselineNudgeGenerator(null, parser);
-            await generator.generateFiles(inputPath, outputDir);
+            if (dryRun) {
+                printDryRun(await generator.generateFiles(inputPath, outputDir, { write: false }), outputDir);
+                return;
+            }
+            const { htmlPath } = await generator.generateFiles(inputPath, outputDir);
             console.log('🎉 Generation complete!');
             console.log(`📁 Output directory: ${outputDir}`);
-            console.log(`📄 Open ${path.join(outputDir, 'index.html')} in your browser to see the results`);
+            if (htmlPath) {
+                console.log(`📄 Open ${htmlPath} in your browser to see the results`);
+            }
         }, true);
 
         await generateWithErrorHandling();
@@ -600,7 +761,7 @@ async function main() {
 
         try {
             const generator = new BaselineNudgeGenerator();
-            generator.generateFile(inputPath, outputPath);
+            await generator.generateFile(inputPath, outputPath);
         } catch (error) {
             console.error('❌ Error:', error.message);
             process.exit(1);
@@ -667,6 +828,244 @@ async function main() {
         break;
     }
 
+    case 'suggest': {
+        const inputPath = args[1];
+        if (!inputPath) {
+            console.error('❌ Error: Input configuration file required');
+            console.log('Usage: baseline-nudges suggest <config.json>');
+            process.exit(1);
+        }
+
+        const suggestWithErrorHandling = withErrorHandling(async () => {
+            const { generator, config, fontMetricsMap } = await loadConfigWithMetrics(inputPath);
+            const suggestions = generator.suggestLineHeights(config, fontMetricsMap);
+
+            console.log(`📏 Suggested line heights (baseline unit ${config.baselineUnit}rem):`);
+            console.log('');
+            printTable(
+                ['element', 'font-size', 'current', 'nudge', 'suggested', 'line-height', 'ratio', 'nudge'],
+                suggestions.map(row => [
+                    row.identifier,
+                    `${row.fontSize}rem`,
+                    row.currentLineHeight === null ? 'auto' : row.currentLineHeight,
+                    row.currentNudgeTop === null ? '-' : `${row.currentNudgeTop}rem`,
+                    row.lineHeight,
+                    `${row.lineHeightRem}rem`,
+                    row.ratio,
+                    `${row.nudgeTop}rem`
+                ])
+            );
+            console.log('');
+            console.log('💡 Line heights are in baseline units. Set "lineHeight": "auto" to use the suggestion.');
+        }, true);
+
+        await suggestWithErrorHandling();
+        break;
+    }
+
+    case 'expand': {
+        const inputPath = args[1];
+        if (!inputPath) {
+            console.error('❌ Error: Input configuration file required');
+            console.log('Usage: baseline-nudges expand <config.json> [output.json]');
+            process.exit(1);
+        }
+
+        const outputPath = args[2] || inputPath.replace(/(\.json)?$/, '.expanded.json');
+
+        const expandWithErrorHandling = withErrorHandling(async () => {
+            const validation = validateConfigFile(inputPath);
+            if (!validation.isValid) {
+                throw new ConfigurationError(`Configuration validation failed:\n${validation.errors.join('\n')}`, inputPath);
+            }
+
+            const config = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+            if (!config.scale) {
+                console.log('ℹ️  Configuration has no scale; writing it unchanged.');
+            }
+
+            const expanded = expandConfig(config);
+            fs.writeFileSync(outputPath, JSON.stringify(expanded, null, 2) + '\n');
+            console.log(`✅ Expanded configuration written to: ${outputPath}`);
+            console.log(`   Elements: ${expanded.elements ? expanded.elements.length : 0}`);
+        }, true);
+
+        await expandWithErrorHandling();
+        break;
+    }
+
+    case 'optimize': {
+        const inputPath = args[1];
+        if (!inputPath) {
+            console.error('❌ Error: Input configuration file required');
+            console.log('Usage: baseline-nudges optimize <config.json> [--unit-step 0.125] [--min-unit n] [--max-unit n] [--min-ratio 1.2] [--max-ratio 1.6] [--line-height-step 1] [--top 10]');
+            process.exit(1);
+        }
+
+        const optimizeWithErrorHandling = withErrorHandling(async () => {
+            const options = {
+                unitStep: getNumericOption('--unit-step'),
+                minUnit: getNumericOption('--min-unit'),
+                maxUnit: getNumericOption('--max-unit'),
+                minRatio: getNumericOption('--min-ratio'),
+                maxRatio: getNumericOption('--max-ratio'),
+                lineHeightStep: getNumericOption('--line-height-step')
+            };
+            const top = getNumericOption('--top') || 10;
+
+            // The search picks the baseline unit and line heights, so the config does not need them
+            const { generator, config, fontMetricsMap } = await loadConfigWithMetrics(inputPath, { requireGrid: false });
+            const candidates = generator.optimizeBaselineUnit(config, fontMetricsMap, options);
+            if (candidates.length === 0) {
+                throw new ConfigurationError('No baseline unit gives every element a line height inside the ratio range; widen the constraints', inputPath);
+            }
+
+            console.log(`🔍 Baseline units ranked by mean nudge + compensation error per element, in baseline units (${candidates.length} candidates):`);
+            console.log('');
+            printTable(
+                ['rank', 'baseline unit', 'score', 'total nudge', 'compensation', 'max nudge'],
+                candidates.slice(0, top).map((candidate, index) => [
+                    index + 1,
+                    `${candidate.baselineUnit}rem`,
+                    candidate.score,
+                    `${candidate.totalNudge}rem`,
+                    `${candidate.totalCompensationError}rem`,
+                    `${candidate.maxNudge}rem`
+                ])
+            );
+
+            const best = candidates[0];
+            console.log('');
+            console.log(`🏆 Best option: baselineUnit ${best.baselineUnit}rem`);
+            console.log('');
+            printTable(
+                ['element', 'font-size', 'line-height', 'rem', 'ratio', 'nudge', 'compensation', 'error'],
+                best.elements.map(row => [
+                    row.identifier,
+                    `${row.fontSize}rem`,
+                    row.lineHeight,
+                    `${row.lineHeightRem}rem`,
+                    row.ratio,
+                    `${row.nudgeTop}rem`,
+                    `${row.compensationError}rem`,
+                    row.error
+                ])
+            );
+        }, true);
+
+        await optimizeWithErrorHandling();
+        break;
+    }
+
+    case 'explain': {
+        const inputPath = args[1];
+        if (!inputPath) {
+            console.error('❌ Error: Input configuration file required');
+            console.log('Usage: baseline-nudges explain <config.json> [identifier]');
+            process.exit(1);
+        }
+
+        const explainWithErrorHandling = withErrorHandling(async () => {
+            const { generator, config, fontMetricsMap } = await loadConfigWithMetrics(inputPath);
+            const explanations = generator.explainConfig(config, fontMetricsMap, args[2]);
+
+            explanations.forEach(explanation => {
+                console.log(`🔎 ${explanation.identifier}: ${explanation.fontSize}rem ${explanation.fontFamily}, line height ${explanation.lineHeight} × ${explanation.baselineUnit}rem, align ${explanation.align}, ${explanation.nudgeStrategy} strategy, ${explanation.algorithm} algorithm`);
+                console.log('');
+                printTable(
+                    ['step', 'value', 'unit', 'formula'],
+                    explanation.steps.map(step => [step.name, step.value, step.unit, step.formula])
+                );
+                console.log('');
+            });
+        }, true);
+
+        await explainWithErrorHandling();
+        break;
+    }
+
+    case 'simulate': {
+        const inputPath = args[1];
+        if (!inputPath) {
+            console.error('❌ Error: Input configuration file required');
+            console.log('Usage: baseline-nudges simulate <config.json> [identifier] [--dpr 1,2] [--root 16] [--lines 20] [--lines-per-block 3] [--threshold 1]');
+            process.exit(1);
+        }
+
+        const simulateWithErrorHandling = withErrorHandling(async () => {
+            const identifier = args[2] && !args[2].startsWith('--') ? args[2] : undefined;
+            const options = {
+                identifier,
+                devicePixelRatios: getNumericListOption('--dpr'),
+                rootFontSizes: getNumericListOption('--root'),
+                lines: getNumericOption('--lines'),
+                linesPerBlock: getNumericOption('--lines-per-block'),
+                threshold: getNumericOption('--threshold')
+            };
+            Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+
+            const { generator, config, fontMetricsMap } = await loadConfigWithMetrics(inputPath);
+            const rows = generator.simulateDevicePixels(config, fontMetricsMap, options);
+            const flagged = rows.filter(row => row.flagged);
+
+            console.log('🖥️  Baseline drift in device pixels (offset = first line, drift = final line):');
+            console.log('');
+            printTable(
+                ['element', 'dpr', 'root', 'offset', 'max', 'drift', 'from line', 'status'],
+                rows.map(row => [
+                    row.identifier,
+                    row.devicePixelRatio,
+                    `${row.rootFontSize}px`,
+                    row.offset,
+                    row.maxDrift,
+                    row.finalDrift,
+                    row.driftFromLine === null ? '-' : row.driftFromLine,
+                    row.flagged ? '⚠️  drifts' : '✅'
+                ])
+            );
+            console.log('');
+            if (flagged.length > 0) {
+                console.log(`⚠️  ${flagged.length} of ${rows.length} combinations drift off the grid`);
+            } else {
+                console.log(`✅ All ${rows.length} combinations stay on the grid`);
+            }
+        }, true);
+
+        await simulateWithErrorHandling();
+        break;
+    }
+
+    case 'export': {
+        const inputPath = args[1];
+        const format = args[2];
+        if (!inputPath || !format) {
+            console.error('❌ Error: Input configuration file and format required');
+            console.log(`Usage: baseline-nudges export <config.json> <${getFormatterNames().join('|')}> [output] [--package com.example.typography]`);
+            process.exit(1);
+        }
+
+        const exportWithErrorHandling = withErrorHandling(async () => {
+            const { generator, config, fontMetricsMap } = await loadConfigWithMetrics(inputPath);
+            const tokens = generator.generateTokens(config, fontMetricsMap);
+            // Loads the formatter modules and checks the outputs formats like generate
+            generator.resolveOutputs(config, inputPath);
+            const contents = await generator.exportTokens(format, tokens, fontMetricsMap, { package: getStringOption('--package') }, { config, inputPath });
+
+            // The output may be a file or a directory for the default file name
+            const output = args[3] && !args[3].startsWith('--') ? args[3] : undefined;
+            let outputPath = output || 'dist';
+            if (!output || output.endsWith('/') || (fs.existsSync(outputPath) && fs.statSync(outputPath).isDirectory())) {
+                outputPath = path.join(outputPath, resolveFormatter(format).fileName);
+            }
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            fs.writeFileSync(outputPath, contents);
+            console.log(`✅ Exported ${format} tokens: ${outputPath}`);
+        }, true);
+
+        await exportWithErrorHandling();
+        break;
+    }
+
     case 'decompress-woff2': {
         const inputPath = args[1];
         if (!inputPath) {
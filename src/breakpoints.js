@@ -0,0 +1,92 @@
+/**
+ * Breakpoints
+ * Mobile-first min-width breakpoints for per-viewport font sizes and baseline units
+ * @author Lyubomir Popov
+ */
+
+const BREAKPOINT_PATTERN = /^(\d+(?:\.\d+)?)(px|em|rem)$/;
+
+// Element properties a breakpoint may override
+const BREAKPOINT_ELEMENT_FIELDS = ['fontSize', 'lineHeight', 'spaceAfter', 'align', 'minRatio', 'maxRatio'];
+
+/**
+ * Width of a breakpoint in px (em and rem in media queries use the initial 16px)
+ * @param {string} breakpoint - Breakpoint such as "768px" or "48em"
+ * @returns {number} Width in px, NaN if the breakpoint is not valid
+ */
+function breakpointToPx(breakpoint) {
+    const match = String(breakpoint).match(BREAKPOINT_PATTERN);
+    if (!match) {
+        return NaN;
+    }
+    return parseFloat(match[1]) * (match[2] === 'px' ? 1 : 16);
+}
+
+// Sort breakpoints from narrow to wide
+function sortBreakpoints(breakpoints) {
+    return [...new Set(breakpoints)].sort((a, b) => breakpointToPx(a) - breakpointToPx(b));
+}
+
+/**
+ * All breakpoints of a configuration, from the config and from every element
+ * @param {Object} config - Configuration
+ * @returns {string[]} Sorted breakpoints
+ */
+function getConfigBreakpoints(config) {
+    const breakpoints = Object.keys(config.breakpoints || {});
+    (config.elements || []).forEach(element => breakpoints.push(...Object.keys(element.breakpoints || {})));
+    return sortBreakpoints(breakpoints);
+}
+
+/**
+ * Baseline unit in effect at a breakpoint: the config override of the widest
+ * breakpoint up to this one, otherwise the base baselineUnit
+ * @param {Object} config - Configuration
+ * @param {string} breakpoint - Breakpoint
+ * @returns {number} Baseline unit in rem
+ */
+function getBreakpointBaselineUnit(config, breakpoint) {
+    const width = breakpointToPx(breakpoint);
+    let baselineUnit = config.baselineUnit;
+    sortBreakpoints(Object.keys(config.breakpoints || {}))
+        .filter(candidate => breakpointToPx(candidate) <= width)
+        .forEach(candidate => {
+            if (config.breakpoints[candidate].baselineUnit !== undefined) {
+                baselineUnit = config.breakpoints[candidate].baselineUnit;
+            }
+        });
+    return baselineUnit;
+}
+
+/**
+ * Resolve an element at each breakpoint that changes it: its own breakpoints and
+ * the config breakpoints (which may change the baseline unit). Overrides cascade
+ * from narrow to wide like min-width media queries.
+ * @param {Object} config - Configuration
+ * @param {Object} element - Element with an optional breakpoints map
+ * @returns {Object[]} breakpoint, baselineUnit and the merged element, narrow to wide
+ */
+function resolveElementBreakpoints(config, element) {
+    const { breakpoints: overrides = {}, ...base } = element;
+    const breakpoints = sortBreakpoints([...Object.keys(config.breakpoints || {}), ...Object.keys(overrides)]);
+
+    let merged = base;
+    return breakpoints.map(breakpoint => {
+        merged = { ...merged, ...(overrides[breakpoint] || {}) };
+        return {
+            breakpoint,
+            baselineUnit: getBreakpointBaselineUnit(config, breakpoint),
+            element: merged
+        };
+    });
+}
+
+module.exports = {
+    BREAKPOINT_PATTERN,
+    BREAKPOINT_ELEMENT_FIELDS,
+    breakpointToPx,
+    sortBreakpoints,
+    getConfigBreakpoints,
+    getBreakpointBaselineUnit,
+    resolveElementBreakpoints
+};
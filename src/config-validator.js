@@ -1,5 +1,26 @@
 const fs = require('fs');
 const path = require('path');
+const { METRICS_SOURCES, findFontFile } = require('./fontkit-parser');
+const { FALLBACK_FONTS, getBuiltInFallback } = require('./fallback-metrics');
+const { validateScale, expandConfig } = require('./type-scale');
+const { getNudgeAlgorithmNames } = require('./nudge-algorithms');
+const { getFormatterNames } = require('./output-formatters');
+const { BREAKPOINT_PATTERN, BREAKPOINT_ELEMENT_FIELDS } = require('./breakpoints');
+const { MAX_FLUID_VIEWPORT } = require('./fluid-type');
+
+// HTML element names, for identifiers used as tag selectors (css.selector "element")
+const HTML_ELEMENTS = new Set([
+    'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'body', 'button', 'caption',
+    'cite', 'code', 'data', 'dd', 'del', 'details', 'dfn', 'dialog', 'div', 'dl', 'dt', 'em', 'fieldset',
+    'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'html',
+    'i', 'input', 'ins', 'kbd', 'label', 'legend', 'li', 'main', 'mark', 'menu', 'meter', 'nav', 'ol',
+    'optgroup', 'option', 'output', 'p', 'pre', 'progress', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'search',
+    'section', 'select', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+    'textarea', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var'
+]);
+
+// Valid custom element names (lowercase, with a hyphen) are element names too
+const CUSTOM_ELEMENT_PATTERN = /^[a-z][a-z0-9]*-[a-z0-9-]*$/;
 
 /**
  * Check if a number is a multiple of 0.25
@@ -27,13 +48,78 @@ function isZeroOrMultipleOfQuarter(value) {
     return value === 0 || Number.isInteger(value * 4);
 }
 
+/**
+ * Check if a value is a valid variable font variation (named instance or axis values)
+ * @param {*} variation - Value to check
+ * @returns {boolean} True if the value is a non-empty string or an object of 4-character axis tags to numbers
+ */
+function isValidVariation(variation) {
+    if (typeof variation === 'string') {
+        return variation.length > 0;
+    }
+    if (!variation || typeof variation !== 'object' || Array.isArray(variation)) {
+        return false;
+    }
+    const entries = Object.entries(variation);
+    return entries.length > 0 && entries.every(([tag, value]) => tag.length === 4 && typeof value === 'number');
+}
+
+/**
+ * Validate the breakpoint overrides of an element
+ * @param {Object} breakpoints - Breakpoint -> overridden element properties
+ * @param {string} prefix - Error message prefix
+ * @returns {string[]} Error messages
+ */
+function validateElementBreakpoints(breakpoints, prefix) {
+    const errors = [];
+    if (!breakpoints || typeof breakpoints !== 'object' || Array.isArray(breakpoints)) {
+        return [`${prefix}.breakpoints must be an object mapping min-widths (e.g., "768px") to element properties`];
+    }
+    for (const [breakpoint, overrides] of Object.entries(breakpoints)) {
+        const bpPrefix = `${prefix}.breakpoints["${breakpoint}"]`;
+        if (!BREAKPOINT_PATTERN.test(breakpoint)) {
+            errors.push(`${bpPrefix}: breakpoint must be a min-width in px, em or rem (e.g., "768px")`);
+        }
+        if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+            errors.push(`${bpPrefix} must be an object`);
+            continue;
+        }
+        const unknown = Object.keys(overrides).filter(field => !BREAKPOINT_ELEMENT_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            errors.push(`${bpPrefix}: ${unknown.join(', ')} cannot change per breakpoint (allowed: ${BREAKPOINT_ELEMENT_FIELDS.join(', ')})`);
+        }
+        if (overrides.fontSize !== undefined && (typeof overrides.fontSize !== 'number' || overrides.fontSize <= 0)) {
+            errors.push(`${bpPrefix}.fontSize must be a positive number`);
+        }
+        if (overrides.lineHeight !== undefined && overrides.lineHeight !== 'auto' && !isMultipleOfQuarter(overrides.lineHeight)) {
+            errors.push(`${bpPrefix}.lineHeight must be "auto" or a positive number that is a multiple of 0.25`);
+        }
+        if (overrides.spaceAfter !== undefined && !isZeroOrMultipleOfQuarter(overrides.spaceAfter)) {
+            errors.push(`${bpPrefix}.spaceAfter must be 0 or a positive number that is a multiple of 0.25`);
+        }
+        if (overrides.align !== undefined && !['baseline', 'capHeight', 'xHeight', 'both'].includes(overrides.align)) {
+            errors.push(`${bpPrefix}.align must be one of: baseline, capHeight, xHeight, both`);
+        }
+        ['minRatio', 'maxRatio'].forEach(field => {
+            if (overrides[field] !== undefined && (typeof overrides[field] !== 'number' || overrides[field] <= 0)) {
+                errors.push(`${bpPrefix}.${field} must be a positive number`);
+            }
+        });
+    }
+    return errors;
+}
+
 /**
  * Validate configuration object
  * @param {Object} config - Configuration to validate
  * @param {string} configPath - Path to config file (for relative font file resolution)
+ * @param {Object} options - Options
+ * @param {boolean} options.requireGrid - false to make baselineUnit and element lineHeight
+ *   optional, for commands that search for them (default true)
  * @returns {Object} Validation result with isValid flag and errors array
  */
-function validateConfig(config, configPath = '') {
+function validateConfig(config, configPath = '', options = {}) {
+    const requireGrid = options.requireGrid !== false;
     const errors = [];
     const warnings = [];
 
@@ -43,34 +129,206 @@ function validateConfig(config, configPath = '') {
         return { isValid: false, errors, warnings };
     }
 
+    // Type scale - validate the declaration, then validate the elements it expands to
+    // (only the explicit elements when the declaration is not valid)
+    if (config.scale !== undefined) {
+        const scaleErrors = validateScale(config.scale);
+        if (scaleErrors.length > 0) {
+            errors.push(...scaleErrors);
+        } else {
+            config = expandConfig(config);
+        }
+    }
+
     // Required fields
-    if (!config.baselineUnit) {
-        errors.push('baselineUnit is required');
+    if (config.baselineUnit === undefined) {
+        if (requireGrid) {
+            errors.push('baselineUnit is required');
+        }
     } else if (typeof config.baselineUnit !== 'number' || config.baselineUnit <= 0) {
         errors.push('baselineUnit must be a positive number');
     }
 
+    if (config.rootFontSize !== undefined) {
+        if (typeof config.rootFontSize !== 'number' || config.rootFontSize <= 0) {
+            errors.push('rootFontSize must be a positive number (in px)');
+        }
+    }
+
+    if (config.includePx !== undefined && typeof config.includePx !== 'boolean') {
+        errors.push('includePx must be a boolean');
+    }
+
+    if (config.nudgeStrategy !== undefined && !['padding', 'trim', 'pseudo-margin'].includes(config.nudgeStrategy)) {
+        errors.push('nudgeStrategy must be one of: padding, trim, pseudo-margin');
+    }
+
+    if (config.algorithm !== undefined) {
+        const algorithmName = config.algorithm && typeof config.algorithm === 'object' ? config.algorithm.name : config.algorithm;
+        if (!getNudgeAlgorithmNames().includes(algorithmName)) {
+            errors.push(`algorithm must be one of: ${getNudgeAlgorithmNames().join(', ')} (a name, or an object with name and options)`);
+        } else if (config.algorithm.devicePixelRatio !== undefined && (typeof config.algorithm.devicePixelRatio !== 'number' || config.algorithm.devicePixelRatio <= 0)) {
+            errors.push('algorithm.devicePixelRatio must be a positive number');
+        }
+    }
+
+    // Breakpoints: min-width -> baseline unit override
+    if (config.breakpoints !== undefined) {
+        if (!config.breakpoints || typeof config.breakpoints !== 'object' || Array.isArray(config.breakpoints)) {
+            errors.push('breakpoints must be an object mapping min-widths (e.g., "768px") to { baselineUnit }');
+        } else {
+            for (const [breakpoint, settings] of Object.entries(config.breakpoints)) {
+                if (!BREAKPOINT_PATTERN.test(breakpoint)) {
+                    errors.push(`breakpoints["${breakpoint}"]: breakpoint must be a min-width in px, em or rem (e.g., "768px")`);
+                }
+                if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+                    errors.push(`breakpoints["${breakpoint}"] must be an object`);
+                } else if (settings.baselineUnit !== undefined && (typeof settings.baselineUnit !== 'number' || settings.baselineUnit <= 0)) {
+                    errors.push(`breakpoints["${breakpoint}"].baselineUnit must be a positive number`);
+                }
+            }
+        }
+    }
+
+    // Fluid type: viewport range (px) the clamp() font sizes grow across
+    if (config.fluid !== undefined) {
+        const fluid = config.fluid;
+        if (!fluid || typeof fluid !== 'object' || Array.isArray(fluid)) {
+            errors.push('fluid must be an object with minViewport and maxViewport (px)');
+        } else {
+            ['minViewport', 'maxViewport'].forEach(field => {
+                if (typeof fluid[field] !== 'number' || fluid[field] <= 0) {
+                    errors.push(`fluid.${field} must be a positive number (px)`);
+                }
+            });
+            if (fluid.minViewport >= fluid.maxViewport) {
+                errors.push('fluid.minViewport must be smaller than fluid.maxViewport');
+            }
+            if (fluid.maxViewport > MAX_FLUID_VIEWPORT) {
+                errors.push(`fluid.maxViewport must be at most ${MAX_FLUID_VIEWPORT} (px); the off-grid check scans every pixel of the range`);
+            }
+            if (fluid.samples !== undefined && (!Array.isArray(fluid.samples) || fluid.samples.length === 0 ||
+                fluid.samples.some(sample => typeof sample !== 'number' || sample < fluid.minViewport || sample > fluid.maxViewport))) {
+                errors.push('fluid.samples must be a list of viewport widths (px) between minViewport and maxViewport');
+            }
+            if (fluid.tolerance !== undefined && (typeof fluid.tolerance !== 'number' || fluid.tolerance <= 0)) {
+                errors.push('fluid.tolerance must be a positive number (px)');
+            }
+        }
+    }
+
+    // Standalone stylesheet options
+    if (config.css !== undefined) {
+        const css = config.css;
+        if (!css || typeof css !== 'object' || Array.isArray(css)) {
+            errors.push('css must be an object (selector, attribute, fontUrl, grid)');
+        } else {
+            if (css.selector !== undefined && !['class', 'element', 'attribute'].includes(css.selector)) {
+                errors.push(`css.selector must be one of: class, element, attribute (got "${css.selector}")`);
+            }
+            if (css.attribute !== undefined && (typeof css.attribute !== 'string' || !/^[a-zA-Z_][\w-]*$/.test(css.attribute))) {
+                errors.push('css.attribute must be a valid attribute name (e.g. data-typography)');
+            }
+            if (css.fontUrl !== undefined && (typeof css.fontUrl !== 'string' || css.fontUrl.length === 0)) {
+                errors.push('css.fontUrl must be a non-empty string, {file} is replaced by the font file name');
+            }
+            if (css.grid !== undefined && typeof css.grid !== 'boolean') {
+                errors.push('css.grid must be a boolean');
+            }
+        }
+    }
+
+    // Custom properties output options
+    if (config.customProperties !== undefined) {
+        const options = config.customProperties;
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            errors.push('customProperties must be an object (prefix, namePattern, calc)');
+        } else {
+            if (options.prefix !== undefined && (typeof options.prefix !== 'string' || !/^[\w-]*$/.test(options.prefix))) {
+                errors.push('customProperties.prefix must be a string of letters, digits, dashes and underscores');
+            }
+            if (options.namePattern !== undefined && (typeof options.namePattern !== 'string' ||
+                !options.namePattern.includes('{element}') || !options.namePattern.includes('{property}'))) {
+                errors.push('customProperties.namePattern must be a string containing {element} and {property} (and optionally {prefix})');
+            }
+            if (options.calc !== undefined && typeof options.calc !== 'boolean') {
+                errors.push('customProperties.calc must be a boolean');
+            }
+        }
+    }
+
+    // Formatter modules are only resolved like require() from the config directory;
+    // they are registered when files are generated, not by validation
+    if (config.formatters !== undefined) {
+        if (!Array.isArray(config.formatters) || config.formatters.some(entry => typeof entry !== 'string' || entry.length === 0)) {
+            errors.push('formatters must be an array of module paths');
+        } else {
+            const configDir = path.resolve(path.dirname(configPath));
+            config.formatters.forEach(modulePath => {
+                try {
+                    require.resolve(modulePath, { paths: [configDir] });
+                } catch (error) {
+                    errors.push(`Cannot find formatter module "${modulePath}" from ${configDir}`);
+                }
+            });
+        }
+    }
+
+    // Files written by generate
+    if (config.outputs !== undefined) {
+        if (!Array.isArray(config.outputs) || config.outputs.length === 0) {
+            errors.push('outputs must be a non-empty array of { format, path, options }');
+        } else {
+            config.outputs.forEach((output, index) => {
+                if (!output || typeof output !== 'object' || typeof output.format !== 'string') {
+                    errors.push(`outputs[${index}] must be an object with a format`);
+                    return;
+                }
+                // Formats of formatter modules are checked once the modules are loaded
+                if (config.formatters === undefined && !getFormatterNames().includes(output.format)) {
+                    errors.push(`outputs[${index}].format must be one of: ${getFormatterNames().join(', ')} (got "${output.format}")`);
+                }
+                if (output.path !== undefined && (typeof output.path !== 'string' || output.path.length === 0)) {
+                    errors.push(`outputs[${index}].path must be a non-empty string, relative to the output directory`);
+                }
+                if (output.options !== undefined && (!output.options || typeof output.options !== 'object' || Array.isArray(output.options))) {
+                    errors.push(`outputs[${index}].options must be an object`);
+                }
+            });
+        }
+    }
+
     // Font file validation - support both single fontFile and multiple fontFiles
     if (config.fontFiles) {
         // New format with multiple font files
         if (!Array.isArray(config.fontFiles)) {
             errors.push('fontFiles must be an array');
         } else {
+            const faceKeys = new Set();
             config.fontFiles.forEach((fontFile, index) => {
                 const prefix = `fontFiles[${index}]`;
+
+                // Faces without a declared weight take weight and style from the font file, so they cannot clash here
+                if (fontFile.weight !== undefined) {
+                    const faceKey = `${fontFile.family}/${fontFile.weight}/${fontFile.style || 'normal'}`;
+                    if (faceKeys.has(faceKey)) {
+                        errors.push(`${prefix} duplicates the face of family "${fontFile.family}" with the same weight and style`);
+                    }
+                    faceKeys.add(faceKey);
+                }
                 
                 if (!fontFile.path) {
                     errors.push(`${prefix}.path is required`);
                 } else if (typeof fontFile.path !== 'string') {
                     errors.push(`${prefix}.path must be a string`);
                 } else {
-                    // Check if font file exists
-                    const fontPath = path.resolve(path.dirname(configPath), fontFile.path);
-                    if (!fs.existsSync(fontPath)) {
-                        errors.push(`Font file not found: ${fontFile.path} (resolved to: ${fontPath})`);
+                    // Check if font file exists, with the same extension fallback as the generator
+                    const fontPath = findFontFile(path.dirname(configPath), fontFile.path);
+                    if (!fontPath) {
+                        errors.push(`Font file not found: ${fontFile.path} (resolved to: ${path.resolve(path.dirname(configPath), fontFile.path)})`);
                     } else {
                         // Check font file extension
-                        const ext = path.extname(fontFile.path).toLowerCase();
+                        const ext = path.extname(fontPath).toLowerCase();
                         const supportedExtensions = ['.woff2', '.woff', '.ttf', '.otf'];
                         if (!supportedExtensions.includes(ext)) {
                             warnings.push(`Font file extension "${ext}" may not be supported. Supported: ${supportedExtensions.join(', ')}`);
@@ -84,6 +342,27 @@ function validateConfig(config, configPath = '') {
                     errors.push(`${prefix}.family must be a string`);
                 }
 
+                if (fontFile.metricsSource !== undefined && !METRICS_SOURCES.includes(fontFile.metricsSource)) {
+                    errors.push(`${prefix}.metricsSource must be one of: ${METRICS_SOURCES.join(', ')}`);
+                }
+
+                if (fontFile.variation !== undefined && !isValidVariation(fontFile.variation)) {
+                    errors.push(`${prefix}.variation must be a named instance string or an object of axis values (e.g., { "wght": 700, "opsz": 32 })`);
+                }
+
+                // Faces of the same family are told apart by weight and style
+                if (fontFile.weight !== undefined) {
+                    if (typeof fontFile.weight !== 'number' || fontFile.weight < 100 || fontFile.weight > 900) {
+                        errors.push(`${prefix}.weight must be a number between 100 and 900`);
+                    }
+                }
+
+                if (fontFile.style !== undefined) {
+                    if (typeof fontFile.style !== 'string' || !['normal', 'italic'].includes(fontFile.style)) {
+                        errors.push(`${prefix}.style must be either 'normal' or 'italic'`);
+                    }
+                }
+
 
             });
         }
@@ -92,13 +371,13 @@ function validateConfig(config, configPath = '') {
         if (typeof config.fontFile !== 'string') {
             errors.push('fontFile must be a string');
         } else {
-            // Check if font file exists
-            const fontPath = path.resolve(path.dirname(configPath), config.fontFile);
-            if (!fs.existsSync(fontPath)) {
-                errors.push(`Font file not found: ${config.fontFile} (resolved to: ${fontPath})`);
+            // Check if font file exists, with the same extension fallback as the generator
+            const fontPath = findFontFile(path.dirname(configPath), config.fontFile);
+            if (!fontPath) {
+                errors.push(`Font file not found: ${config.fontFile} (resolved to: ${path.resolve(path.dirname(configPath), config.fontFile)})`);
             } else {
                 // Check font file extension
-                const ext = path.extname(config.fontFile).toLowerCase();
+                const ext = path.extname(fontPath).toLowerCase();
                 const supportedExtensions = ['.woff2', '.woff', '.ttf', '.otf'];
                 if (!supportedExtensions.includes(ext)) {
                     warnings.push(`Font file extension "${ext}" may not be supported. Supported: ${supportedExtensions.join(', ')}`);
@@ -109,6 +388,14 @@ function validateConfig(config, configPath = '') {
         errors.push('Either fontFile (legacy) or fontFiles (new format) is required');
     }
 
+    if (config.metricsSource !== undefined && !METRICS_SOURCES.includes(config.metricsSource)) {
+        errors.push(`metricsSource must be one of: ${METRICS_SOURCES.join(', ')}`);
+    }
+
+    if (config.variation !== undefined && !isValidVariation(config.variation)) {
+        errors.push('variation must be a named instance string or an object of axis values (e.g., { "wght": 700, "opsz": 32 })');
+    }
+
     // Elements validation
     if (config.elements) {
         // New format
@@ -134,9 +421,21 @@ function validateConfig(config, configPath = '') {
                 }
 
                 if (element.lineHeight === undefined) {
-                    errors.push(`${prefix}.lineHeight is required`);
+                    if (requireGrid) {
+                        errors.push(`${prefix}.lineHeight is required`);
+                    }
+                } else if (element.lineHeight === 'auto') {
+                    // Solved from the font metrics; minRatio and maxRatio bound the result
+                    ['minRatio', 'maxRatio'].forEach(field => {
+                        if (element[field] !== undefined && (typeof element[field] !== 'number' || element[field] <= 0)) {
+                            errors.push(`${prefix}.${field} must be a positive number`);
+                        }
+                    });
+                    if (typeof element.minRatio === 'number' && typeof element.maxRatio === 'number' && element.minRatio > element.maxRatio) {
+                        errors.push(`${prefix}.minRatio must not be larger than maxRatio`);
+                    }
                 } else if (!isMultipleOfQuarter(element.lineHeight)) {
-                    errors.push(`${prefix}.lineHeight must be a positive number that is a multiple of 0.25 (e.g., 1.0, 1.25, 1.5, 1.75, 2.0, 2.25, 2.5, etc.)`);
+                    errors.push(`${prefix}.lineHeight must be "auto" or a positive number that is a multiple of 0.25 (e.g., 1.0, 1.25, 1.5, 1.75, 2.0, 2.25, 2.5, etc.)`);
                 }
 
                 if (element.spaceAfter !== undefined) {
@@ -167,8 +466,31 @@ function validateConfig(config, configPath = '') {
                     }
                 }
 
+                // Validate align mode if specified
+                if (element.align !== undefined) {
+                    if (!['baseline', 'capHeight', 'xHeight', 'both'].includes(element.align)) {
+                        errors.push(`${prefix}.align must be one of: baseline, capHeight, xHeight, both`);
+                    }
+                }
+
+                if (element.breakpoints !== undefined) {
+                    errors.push(...validateElementBreakpoints(element.breakpoints, prefix));
+                }
+
+                if (element.fluid !== undefined) {
+                    if (!config.fluid) {
+                        errors.push(`${prefix}.fluid needs the fluid viewport range in the config (fluid.minViewport and fluid.maxViewport)`);
+                    }
+                    if (!element.fluid || typeof element.fluid.maxFontSize !== 'number' || element.fluid.maxFontSize <= 0) {
+                        errors.push(`${prefix}.fluid.maxFontSize must be a positive number (font size in rem at fluid.maxViewport)`);
+                    }
+                    if (element.breakpoints !== undefined) {
+                        errors.push(`${prefix}: fluid and breakpoints cannot be combined on one element`);
+                    }
+                }
+
                 // Check if line height is reasonable
-                if (element.fontSize && element.lineHeight && config.baselineUnit) {
+                if (element.fontSize && typeof element.lineHeight === 'number' && config.baselineUnit) {
                     const lineHeightRem = element.lineHeight * config.baselineUnit;
                     const ratio = lineHeightRem / element.fontSize;
                     if (ratio < 1) {
@@ -191,6 +513,49 @@ function validateConfig(config, configPath = '') {
         });
     }
 
+    // Fallback fonts: one list for every family, or family -> list
+    if (config.fallbacks !== undefined) {
+        if (!config.fallbacks || typeof config.fallbacks !== 'object') {
+            errors.push('fallbacks must be an array or an object mapping font families to arrays');
+        } else {
+            const lists = Array.isArray(config.fallbacks) ? { '': config.fallbacks } : config.fallbacks;
+            const families = config.fontFiles && Array.isArray(config.fontFiles) ? [...new Set(config.fontFiles.map(f => f.family))] : null;
+            for (const [family, list] of Object.entries(lists)) {
+                const prefix = family ? `fallbacks.${family}` : 'fallbacks';
+                if (family && families && !families.includes(family)) {
+                    errors.push(`${prefix}: font family "${family}" not found in fontFiles. Available: ${families.join(', ')}`);
+                }
+                if (!Array.isArray(list)) {
+                    errors.push(`${prefix} must be an array`);
+                    continue;
+                }
+                list.forEach((entry, index) => {
+                    if (typeof entry === 'string') {
+                        if (!getBuiltInFallback(entry)) {
+                            errors.push(`${prefix}[${index}]: unknown fallback font "${entry}". Built-in: ${Object.keys(FALLBACK_FONTS).join(', ')}; use { "name", "path" } for others`);
+                        }
+                    } else if (!entry || typeof entry.name !== 'string' || typeof entry.path !== 'string') {
+                        errors.push(`${prefix}[${index}] must be a built-in font name or an object with name and path`);
+                    } else if (!findFontFile(path.dirname(configPath), entry.path)) {
+                        errors.push(`Fallback font file not found: ${entry.path}`);
+                    }
+                });
+            }
+        }
+    }
+
+    // The element selector uses identifiers as tag names, so other identifiers match nothing
+    const usesElementSelector = (config.css && config.css.selector === 'element') ||
+        (Array.isArray(config.outputs) && config.outputs.some(output => output && output.options && output.options.selector === 'element'));
+    if (usesElementSelector && Array.isArray(config.elements)) {
+        config.elements.forEach((element, index) => {
+            const identifier = element && element.identifier;
+            if (typeof identifier === 'string' && !HTML_ELEMENTS.has(identifier) && !CUSTOM_ELEMENT_PATTERN.test(identifier)) {
+                warnings.push(`elements[${index}]: "${identifier}" is not an HTML element name, so the "element" selector matches nothing; use the "class" or "attribute" selector`);
+            }
+        });
+    }
+
     // Optional fields validation
     if (config.font && typeof config.font !== 'string') {
         errors.push('font must be a string');
@@ -206,9 +571,10 @@ function validateConfig(config, configPath = '') {
 /**
  * Validate configuration file
  * @param {string} configPath - Path to configuration file
+ * @param {Object} options - Options passed to validateConfig
  * @returns {Object} Validation result
  */
-function validateConfigFile(configPath) {
+function validateConfigFile(configPath, options = {}) {
     try {
         if (!fs.existsSync(configPath)) {
             return {
@@ -231,7 +597,7 @@ function validateConfigFile(configPath) {
             };
         }
 
-        return validateConfig(config, configPath);
+        return validateConfig(config, configPath, options);
     } catch (error) {
         return {
             isValid: false,
@@ -0,0 +1,116 @@
+/**
+ * Fallback Font Metrics
+ * Metric overrides that make a local fallback font lay out like the web font,
+ * so text keeps the same baseline grid while the web font loads
+ * @author Lyubomir Popov
+ */
+
+/**
+ * Built-in metrics of common local fallback fonts (font units), taken from Capsize
+ * (@capsizecss/metrics). Its xWidthAvg is a letter-frequency weighted average width
+ * like measureAverageWidth, but not measured with CHARACTER_WEIGHTS.
+ */
+const FALLBACK_FONTS = {
+    'Arial': {
+        category: 'sans-serif',
+        unitsPerEm: 2048,
+        ascent: 1854,
+        descent: -434,
+        lineGap: 67,
+        xWidthAvg: 904
+    },
+    'Helvetica': {
+        category: 'sans-serif',
+        unitsPerEm: 2048,
+        ascent: 1577,
+        descent: -471,
+        lineGap: 0,
+        xWidthAvg: 900
+    },
+    'Times New Roman': {
+        category: 'serif',
+        unitsPerEm: 2048,
+        ascent: 1825,
+        descent: -443,
+        lineGap: 87,
+        xWidthAvg: 819
+    },
+    'Courier New': {
+        category: 'monospace',
+        unitsPerEm: 2048,
+        ascent: 1705,
+        descent: -615,
+        lineGap: 0,
+        xWidthAvg: 1229
+    }
+};
+
+/**
+ * Relative frequency of lowercase letters and the space in English text,
+ * used to compare the average width of two fonts
+ */
+const CHARACTER_WEIGHTS = {
+    ' ': 19.1, a: 8.2, b: 1.5, c: 2.8, d: 4.3, e: 12.7, f: 2.2, g: 2.0, h: 6.1,
+    i: 7.0, j: 0.15, k: 0.77, l: 4.0, m: 2.4, n: 6.7, o: 7.5, p: 1.9, q: 0.095,
+    r: 6.0, s: 6.3, t: 9.1, u: 2.8, v: 0.98, w: 2.4, x: 0.15, y: 2.0, z: 0.074
+};
+
+/**
+ * Find a built-in fallback font by name (case-insensitive)
+ * @param {string} name - Local font name such as 'Arial'
+ * @returns {Object|null} Fallback metrics with the canonical name, or null
+ */
+function getBuiltInFallback(name) {
+    const match = Object.keys(FALLBACK_FONTS).find(key => key.toLowerCase() === String(name).toLowerCase());
+    return match ? { name: match, ...FALLBACK_FONTS[match] } : null;
+}
+
+/**
+ * Weighted average advance width of a fontkit font, in font units
+ * @param {Object} font - Font opened with fontkit
+ * @returns {number|null} Average width, or null if the font has no glyphs for the sample characters
+ */
+function measureAverageWidth(font) {
+    let total = 0;
+    let weightSum = 0;
+    for (const [character, weight] of Object.entries(CHARACTER_WEIGHTS)) {
+        const glyph = font.glyphForCodePoint(character.codePointAt(0));
+        if (glyph && glyph.id !== 0) {
+            total += glyph.advanceWidth * weight;
+            weightSum += weight;
+        }
+    }
+    return weightSum > 0 ? total / weightSum : null;
+}
+
+/**
+ * Calculate @font-face overrides for a fallback font
+ * size-adjust matches the average character width; the vertical overrides are
+ * divided by it because browsers scale them by size-adjust too
+ * @param {Object} webMetrics - Web font metrics (ascent, descent, lineGap, unitsPerEm, xWidthAvg)
+ * @param {Object} fallbackMetrics - Fallback font metrics (unitsPerEm, xWidthAvg)
+ * @returns {Object} sizeAdjust, ascentOverride, descentOverride and lineGapOverride in percent
+ */
+function calculateFallbackOverrides(webMetrics, fallbackMetrics) {
+    let sizeAdjust = 1;
+    if (webMetrics.xWidthAvg && fallbackMetrics.xWidthAvg) {
+        sizeAdjust = (webMetrics.xWidthAvg / webMetrics.unitsPerEm) / (fallbackMetrics.xWidthAvg / fallbackMetrics.unitsPerEm);
+    }
+
+    const percent = value => Math.round(value * 1000000) / 10000;
+    const { ascent, descent, lineGap, unitsPerEm } = webMetrics;
+
+    return {
+        sizeAdjust: percent(sizeAdjust),
+        ascentOverride: percent(ascent / unitsPerEm / sizeAdjust),
+        descentOverride: percent(Math.abs(descent) / unitsPerEm / sizeAdjust),
+        lineGapOverride: percent((lineGap || 0) / unitsPerEm / sizeAdjust)
+    };
+}
+
+module.exports = {
+    FALLBACK_FONTS,
+    getBuiltInFallback,
+    measureAverageWidth,
+    calculateFallbackOverrides
+};
@@ -0,0 +1,96 @@
+/**
+ * Fluid Type
+ * clamp() font sizes interpolated between a min and max viewport, sampled at
+ * fixed widths so line heights and nudges can be snapped to the grid per step
+ * @author Lyubomir Popov
+ */
+
+const DEFAULT_SAMPLE_COUNT = 5;
+const DEFAULT_TOLERANCE_PX = 1;
+// Widest maxViewport (px); the off-grid check scans every pixel of the range
+const MAX_FLUID_VIEWPORT = 10000;
+
+/**
+ * Sample viewport widths of a fluid configuration
+ * @param {Object} fluid - config.fluid: minViewport, maxViewport and optional samples (px)
+ * @returns {number[]} Sorted widths in px, always including minViewport
+ */
+function getSampleViewports(fluid) {
+    const { minViewport, maxViewport } = fluid;
+    let samples = fluid.samples;
+    if (!samples) {
+        samples = [];
+        for (let index = 0; index < DEFAULT_SAMPLE_COUNT; index++) {
+            samples.push(Math.round(minViewport + (maxViewport - minViewport) * index / (DEFAULT_SAMPLE_COUNT - 1)));
+        }
+    }
+    return [...new Set([minViewport, ...samples])].sort((a, b) => a - b);
+}
+
+/**
+ * Font size at a viewport width, clamped to the element's range
+ * @param {number} minFontSize - Font size at minViewport in rem
+ * @param {number} maxFontSize - Font size at maxViewport in rem
+ * @param {Object} fluid - config.fluid
+ * @param {number} viewport - Viewport width in px
+ * @returns {number} Font size in rem, rounded to 5 decimals
+ */
+function interpolateFontSize(minFontSize, maxFontSize, fluid, viewport) {
+    const { minViewport, maxViewport } = fluid;
+    const progress = Math.min(1, Math.max(0, (viewport - minViewport) / (maxViewport - minViewport)));
+    return Math.round((minFontSize + (maxFontSize - minFontSize) * progress) * 100000) / 100000;
+}
+
+/**
+ * CSS clamp() that grows linearly from minFontSize to maxFontSize between the viewports
+ * @param {number} minFontSize - Font size at minViewport in rem
+ * @param {number} maxFontSize - Font size at maxViewport in rem
+ * @param {Object} fluid - config.fluid
+ * @param {number} rootFontSize - Root font size in px
+ * @returns {string} clamp() expression
+ */
+function buildClamp(minFontSize, maxFontSize, fluid, rootFontSize) {
+    const { minViewport, maxViewport } = fluid;
+    const round = value => Math.round(value * 10000) / 10000;
+    const slopeRemPerPx = (maxFontSize - minFontSize) / (maxViewport - minViewport);
+    const intercept = minFontSize - slopeRemPerPx * minViewport;
+    const slopeVw = slopeRemPerPx * rootFontSize * 100; // 1vw = 1/100 of the viewport in px
+    const sign = intercept < 0 ? '-' : '+';
+    const preferred = `${round(slopeVw)}vw ${sign} ${round(Math.abs(intercept))}rem`;
+    return `clamp(${round(Math.min(minFontSize, maxFontSize))}rem, ${preferred}, ${round(Math.max(minFontSize, maxFontSize))}rem)`;
+}
+
+/**
+ * Group viewport widths whose baseline is off the grid into ranges
+ * @param {Object[]} offsets - { viewport, offsetPx } for every scanned width, ascending
+ * @param {number} tolerance - Offset in px that is reported
+ * @returns {Object[]} from, to (px) and maxOffsetPx of each range
+ */
+function groupOffGridRanges(offsets, tolerance = DEFAULT_TOLERANCE_PX) {
+    const ranges = [];
+    let current = null;
+    for (const { viewport, offsetPx } of offsets) {
+        if (Math.abs(offsetPx) >= tolerance) {
+            if (!current) {
+                current = { from: viewport, to: viewport, maxOffsetPx: 0 };
+                ranges.push(current);
+            }
+            current.to = viewport;
+            if (Math.abs(offsetPx) > Math.abs(current.maxOffsetPx)) {
+                current.maxOffsetPx = Math.round(offsetPx * 100) / 100;
+            }
+        } else {
+            current = null;
+        }
+    }
+    return ranges;
+}
+
+module.exports = {
+    DEFAULT_TOLERANCE_PX,
+    MAX_FLUID_VIEWPORT,
+    getSampleViewports,
+    interpolateFontSize,
+    buildClamp,
+    groupOffGridRanges
+};
@@ -1,7 +1,13 @@
-const fontkit = require('fontkit');
+const fs = require('fs');
 const path = require('path');
+const fontkit = require('fontkit');
 const opentype = require('opentype.js');
 const { extractRobustFontName } = require('./font-name-extractor');
+const { getMetricDeltas } = require('./variation-metrics');
+const { measureAverageWidth } = require('./fallback-metrics');
+
+// Vertical metric sources a config can request for a font file
+const METRICS_SOURCES = ['auto', 'hhea', 'typo', 'win'];
 
 // Robust font name extraction with comprehensive fallback strategy
 async function extractFontName(font, fontPath) {
@@ -19,37 +25,231 @@ async function extractFontName(font, fontPath) {
     return extractRobustFontName(fontPath, nameTable, otFont);
 }
 
-async function readFontMetrics(fontPath) {
-    try {
-        const font = fontkit.openSync(fontPath);
-        // Use the standalone extractFontName function with opentype.js fallback
-        const fontName = await extractFontName(font, fontPath);
+/**
+ * Pick ascent, descent and lineGap from the hhea, OS/2 typo or OS/2 win values
+ * @param {Object} font - Font opened with fontkit
+ * @param {string} source - One of METRICS_SOURCES
+ * @param {Object} deltas - MVAR deltas of a variation instance, keyed by metric name
+ * @returns {Object} Vertical metrics with the resolved metricsSource
+ */
+function selectVerticalMetrics(font, source = 'auto', deltas = {}) {
+    if (!METRICS_SOURCES.includes(source)) {
+        throw new Error(`Unknown metrics source "${source}". Supported: ${METRICS_SOURCES.join(', ')}`);
+    }
 
-        // Extract font-weight from OS/2 table
-        let fontWeight = 400; // Default to normal weight
-        if (font.tables && font.tables.os2) {
-            const os2Table = font.tables.os2;
-            if (os2Table.usWeightClass) {
-                fontWeight = os2Table.usWeightClass;
-            }
+    const hhea = font.hhea;
+    const os2 = font['OS/2'];
+    const candidates = {
+        hhea: hhea ? {
+            ascent: hhea.ascent,
+            descent: hhea.descent,
+            lineGap: hhea.lineGap || 0
+        } : null,
+        typo: os2 ? {
+            ascent: os2.typoAscender + (deltas.typoAscender || 0),
+            descent: os2.typoDescender + (deltas.typoDescender || 0),
+            lineGap: (os2.typoLineGap || 0) + (deltas.typoLineGap || 0)
+        } : null,
+        // Windows clips to usWin* and ignores the line gap
+        win: os2 ? {
+            ascent: os2.winAscent + (deltas.winAscent || 0),
+            descent: -Math.abs(os2.winDescent + (deltas.winDescent || 0)),
+            lineGap: 0
+        } : null
+    };
+
+    let resolved = source;
+    if (source === 'auto') {
+        // Follow the OpenType recommendation browsers implement:
+        // USE_TYPO_METRICS (fsSelection bit 7) wins, then hhea, then usWin* as a last resort
+        const useTypoMetrics = os2 && os2.fsSelection && os2.fsSelection.useTypoMetrics;
+        const hasHhea = candidates.hhea && (candidates.hhea.ascent || candidates.hhea.descent);
+        if (useTypoMetrics && candidates.typo) {
+            resolved = 'typo';
+        } else if (hasHhea) {
+            resolved = 'hhea';
+        } else if (candidates.win) {
+            resolved = 'win';
+        } else {
+            resolved = null;
         }
+    }
 
-        // Fontkit metrics: ascent, descent, lineGap, unitsPerEm, capHeight, xHeight
+    if (!resolved || !candidates[resolved]) {
+        // Fall back to fontkit's own choice when the requested table is missing
         return {
-            fontName,
-            fontWeight,
             ascent: font.ascent,
             descent: font.descent,
             lineGap: font.lineGap || 0,
-            unitsPerEm: font.unitsPerEm,
-            capHeight: font.capHeight || font.ascent * 0.7,
-            xHeight: font.xHeight || font.ascent * 0.5
+            metricsSource: 'fontkit'
         };
+    }
+
+    return { ...candidates[resolved], metricsSource: resolved };
+}
+
+/**
+ * Apply variation settings to a variable font
+ * @param {Object} font - Font opened with fontkit
+ * @param {Object|string} variation - Axis values such as { wght: 700 } or a named instance
+ * @returns {Object} Font instance
+ */
+function instantiateVariation(font, variation) {
+    const axes = font.variationAxes;
+    if (Object.keys(axes).length === 0) {
+        throw new Error('variation was given but the font has no variation axes');
+    }
+    // fontkit re-reads the raw table directory when instancing, which only works on uncompressed fonts
+    if (font.type !== 'TTF') {
+        throw new Error(`variation requires a TTF or OTF file, got ${font.type}. Decompress the font first (see decompress-woff2)`);
+    }
+    if (typeof variation === 'string' && !font.namedVariations[variation]) {
+        throw new Error(`Named instance "${variation}" not found. Available: ${Object.keys(font.namedVariations).join(', ')}`);
+    }
+    if (typeof variation === 'object') {
+        const unknown = Object.keys(variation).filter(tag => !axes[tag]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown variation axes: ${unknown.join(', ')}. Available: ${Object.keys(axes).join(', ')}`);
+        }
+    }
+    return font.getVariation(variation);
+}
+
+/**
+ * Read vertical metrics and font details from an opened fontkit font
+ * @param {Object} font - Font opened with fontkit
+ * @param {Object} options - Options
+ * @param {string} options.metricsSource - 'auto', 'hhea', 'typo' or 'win'
+ * @param {Object|string} options.variation - Variation settings or named instance of a variable font
+ * @param {Buffer} options.fontData - Font file data, read for the MVAR deltas of a variation
+ * @returns {Object} Font metrics without the font name
+ */
+function extractMetrics(font, options = {}) {
+    let instance = font;
+    let deltas = {};
+    let variation = null;
+    if (options.variation) {
+        instance = instantiateVariation(font, options.variation);
+        variation = typeof options.variation === 'string' ? font.namedVariations[options.variation] : options.variation;
+        if (options.fontData) {
+            deltas = getMetricDeltas(options.fontData, font.variationAxes, variation);
+        }
+        // Values fontkit already varies in the instance's OS/2 table are used as they are
+        const defaultOs2 = font['OS/2'] || {};
+        const instanceOs2 = instance['OS/2'] || {};
+        Object.keys(deltas).filter(metric => instanceOs2[metric] !== defaultOs2[metric]).forEach(metric => {
+            delete deltas[metric];
+        });
+    }
+
+    const os2 = instance['OS/2'];
+
+    // Extract font-weight from OS/2 table, or from the wght axis of a variation instance
+    let fontWeight = 400; // Default to normal weight
+    if (variation && variation.wght) {
+        fontWeight = variation.wght;
+    } else if (os2 && os2.usWeightClass) {
+        fontWeight = os2.usWeightClass;
+    }
+
+    // Italic when the instance sits on the italic end of an ital axis, or the OS/2 italic bit is set
+    let fontStyle = 'normal';
+    if (variation && variation.ital !== undefined ? variation.ital >= 1 : os2 && os2.fsSelection && os2.fsSelection.italic) {
+        fontStyle = 'italic';
+    }
+
+    const vertical = selectVerticalMetrics(instance, options.metricsSource || 'auto', deltas);
+    const capHeight = instance.capHeight ? instance.capHeight + (deltas.capHeight || 0) : 0;
+    const xHeight = instance.xHeight ? instance.xHeight + (deltas.xHeight || 0) : 0;
+
+    // Fontkit metrics: ascent, descent, lineGap, unitsPerEm, capHeight, xHeight
+    const metrics = {
+        fontWeight,
+        fontStyle,
+        ...vertical,
+        unitsPerEm: instance.unitsPerEm,
+        capHeight: capHeight || vertical.ascent * 0.7,
+        xHeight: xHeight || vertical.ascent * 0.5,
+        // Average character width, used to size-adjust fallback fonts
+        xWidthAvg: measureAverageWidth(instance)
+    };
+    if (variation) {
+        metrics.variation = variation;
+    }
+    return metrics;
+}
+
+/**
+ * Find a font file, trying the other font extensions when the exact name does not exist
+ * @param {string} directory - Directory relative names are resolved from
+ * @param {string} fontFileName - Font file name, with or without extension
+ * @returns {string|null} Path of the font file, or null when there is none
+ */
+function findFontFile(directory, fontFileName) {
+    // Try the exact filename as provided first
+    const exactPath = path.resolve(directory, fontFileName);
+    if (fs.existsSync(exactPath)) {
+        return exactPath;
+    }
+    // Then try possible extensions
+    const possibleExtensions = ['.woff2', '.woff', '.ttf', '.otf'];
+    const baseName = exactPath.replace(/\.[^./\\]+$/, ''); // Remove extension if provided
+    for (const ext of possibleExtensions) {
+        const fullPath = baseName + ext;
+        if (fs.existsSync(fullPath)) {
+            return fullPath;
+        }
+    }
+    return null;
+}
+
+/**
+ * Read font metrics from a font file
+ * @param {string} fontPath - Path to the font file
+ * @param {Object} options - Options
+ * @param {string} options.metricsSource - 'auto', 'hhea', 'typo' or 'win'
+ * @param {Object|string} options.variation - Variation settings or named instance of a variable font
+ * @param {number[]} options.instanceWeights - Weights to resolve on the wght axis, returned as metrics.instances
+ * @returns {Promise<Object>} Font metrics
+ */
+async function readFontMetrics(fontPath, options = {}) {
+    try {
+        const fontData = fs.readFileSync(fontPath);
+        const font = fontkit.create(fontData);
+        options = { ...options, fontData };
+        // Use the standalone extractFontName function with opentype.js fallback
+        const fontName = await extractFontName(font, fontPath);
+
+        const metrics = {
+            fontName,
+            ...extractMetrics(font, options),
+            variationAxes: font.variationAxes
+        };
+
+        // Per-weight instances so elements can pick the metrics matching their fontWeight
+        const fixedWeight = options.variation && (typeof options.variation === 'string' || options.variation.wght);
+        if (font.variationAxes.wght && font.type === 'TTF' && !fixedWeight && options.instanceWeights) {
+            metrics.instances = {};
+            for (const weight of options.instanceWeights) {
+                const variation = { ...(options.variation || {}), wght: weight };
+                metrics.instances[weight] = {
+                    fontName,
+                    ...extractMetrics(font, { ...options, variation })
+                };
+            }
+        }
+
+        return metrics;
     } catch (error) {
         throw new Error(`Fontkit failed to read font metrics: ${error.message}`);
     }
 }
 
 module.exports = {
+    METRICS_SOURCES,
+    selectVerticalMetrics,
+    extractMetrics,
+    instantiateVariation,
+    findFontFile,
     readFontMetrics
 };
\ No newline at end of file
@@ -1,14 +1,21 @@
+const fs = require('fs');
 const { BaselineNudgeGenerator } = require('./nudge-generator');
+const { validateConfigFile } = require('./config-validator');
+const { ConfigurationError } = require('./error-handler');
+const { registerNudgeAlgorithm, getNudgeAlgorithmNames } = require('./nudge-algorithms');
+const { registerStyleDictionary, createStyleDictionaryConfig } = require('./style-dictionary');
+const { registerFormatter, getFormatterNames, loadFormatterModule } = require('./output-formatters');
 
 /**
  * Generate tokens and HTML from a configuration file
  * @param {string} configPath - Path to the configuration file
  * @param {string} outputDir - Output directory for generated files
- * @returns {Promise<Object>} Generated tokens and file paths
+ * @param {Object} options - write: false to return the files and their diffs without writing
+ * @returns {Promise<Object>} Generated tokens, files and file paths
  */
-async function generateFromConfig(configPath, outputDir = '.') {
+async function generateFromConfig(configPath, outputDir = '.', options = {}) {
     const generator = new BaselineNudgeGenerator();
-    return await generator.generateFiles(configPath, outputDir);
+    return await generator.generateFiles(configPath, outputDir, options);
 }
 
 /**
@@ -41,13 +48,14 @@ function generateHTML(tokens) {
 }
 
 /**
- * Generate SCSS from configuration (legacy format)
+ * Generate SCSS from configuration
  * @param {Object} config - Configuration object
+ * @param {Object} fontMetricsMap - Font metrics by family, required for the multi-font format
  * @returns {string} Generated SCSS
  */
-function generateSCSS(config) {
+function generateSCSS(config, fontMetricsMap = null) {
     const generator = new BaselineNudgeGenerator();
-    return generator.generateScss(config);
+    return generator.generateScss(config, fontMetricsMap);
 }
 
 /**
@@ -60,11 +68,70 @@ async function readFontMetrics(fontPath) {
     return await generator.readFontMetrics(fontPath);
 }
 
+// Validate a configuration file and load the metrics of its fonts
+async function loadConfig(configPath) {
+    const validation = validateConfigFile(configPath);
+    if (!validation.isValid) {
+        throw new ConfigurationError(`Configuration validation failed:\n${validation.errors.join('\n')}`, configPath);
+    }
+
+    const generator = new BaselineNudgeGenerator();
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const fontMetricsMap = await generator.loadFontMetrics(config, configPath);
+    return { generator, config, fontMetricsMap };
+}
+
+/**
+ * Trace the nudge calculation of every element in a configuration file
+ * @param {string} configPath - Path to the configuration file
+ * @param {string} identifier - Only explain this element (optional)
+ * @returns {Promise<Object[]>} Per element: inputs, nudgeTop and steps ({ name, value, unit, formula })
+ */
+async function explainNudges(configPath, identifier = null) {
+    const { generator, config, fontMetricsMap } = await loadConfig(configPath);
+    return generator.explainConfig(config, fontMetricsMap, identifier);
+}
+
+/**
+ * Simulate device pixel rounding of the elements in a configuration file
+ * @param {string} configPath - Path to the configuration file
+ * @param {Object} options - devicePixelRatios, rootFontSizes, lines, linesPerBlock, threshold and identifier
+ * @returns {Promise<Object[]>} Per element, device pixel ratio and root size: drift summary and baselines
+ */
+async function simulateDevicePixels(configPath, options = {}) {
+    const { generator, config, fontMetricsMap } = await loadConfig(configPath);
+    return generator.simulateDevicePixels(config, fontMetricsMap, options);
+}
+
+/**
+ * Generate the tokens of a configuration file with an output formatter
+ * @param {string} configPath - Path to the configuration file
+ * @param {string} format - Formatter name (json, html, css, dtcg, tailwind, ios, ... or a registered one)
+ * @param {Object} options - Formatter options (package: Kotlin package of compose)
+ * @returns {Promise<string>} File contents
+ */
+async function exportTokens(configPath, format, options = {}) {
+    const { generator, config, fontMetricsMap } = await loadConfig(configPath);
+    const tokens = generator.generateTokens(config, fontMetricsMap);
+    generator.loadFormatters(config, configPath);
+    return generator.exportTokens(format, tokens, fontMetricsMap, options, { config, inputPath: configPath });
+}
+
 module.exports = {
     BaselineNudgeGenerator,
     generateFromConfig,
     generateTokens,
     generateHTML,
     generateSCSS,
-    readFontMetrics
+    readFontMetrics,
+    explainNudges,
+    simulateDevicePixels,
+    exportTokens,
+    registerNudgeAlgorithm,
+    getNudgeAlgorithmNames,
+    registerStyleDictionary,
+    createStyleDictionaryConfig,
+    registerFormatter,
+    getFormatterNames,
+    loadFormatterModule
 };
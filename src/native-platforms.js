@@ -0,0 +1,281 @@
+/**
+ * Native Platforms
+ * Baseline offsets for iOS and Android text layout and the Swift, Android XML
+ * and Jetpack Compose sources that carry them. Native text does not use CSS
+ * half-leading, so each platform places the first baseline by its own rule.
+ * @author Lyubomir Popov
+ */
+
+/**
+ * Where each platform puts the first baseline inside a line of lineHeight
+ * (all values in pt or sp, ascent and descent positive)
+ */
+const NATIVE_LAYOUTS = {
+    // TextKit with minimumLineHeight = maximumLineHeight adds the extra height above the glyphs
+    ios: {
+        unit: 'pt',
+        firstBaseline: (lineHeight, ascent, descent) => lineHeight - descent
+    },
+    // TextView with android:lineHeight and includeFontPadding="false" adds the extra spacing below each line
+    android: {
+        unit: 'sp',
+        firstBaseline: (lineHeight, ascent) => ascent
+    },
+    // Compose with LineHeightStyle(Alignment.Center, Trim.None) splits the extra height evenly
+    compose: {
+        unit: 'sp',
+        firstBaseline: (lineHeight, ascent, descent) => (lineHeight - ascent - descent) / 2 + ascent
+    }
+};
+
+// UIFont.Weight of each CSS font weight
+const UIFONT_WEIGHTS = {
+    100: 'ultraLight',
+    200: 'thin',
+    300: 'light',
+    400: 'regular',
+    500: 'medium',
+    600: 'semibold',
+    700: 'bold',
+    800: 'heavy',
+    900: 'black'
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Offset that moves the first baseline (or the cap height / x-height line) of a
+ * native text view onto the next grid line
+ * @param {Object} metrics - Font metrics from readFontMetrics (font units)
+ * @param {Object} style - fontSize, lineHeight and baselineUnit in pt/sp, align mode
+ * @param {string} platform - ios, android or compose
+ * @returns {Object} firstBaseline and baselineOffset in pt/sp
+ */
+function calculateNativeBaselineOffset(metrics, style, platform) {
+    const layout = NATIVE_LAYOUTS[platform];
+    const scale = style.fontSize / metrics.unitsPerEm;
+    const ascent = metrics.ascent * scale;
+    const descent = Math.abs(metrics.descent) * scale;
+    const firstBaseline = layout.firstBaseline(style.lineHeight, ascent, descent);
+
+    let alignLine = firstBaseline;
+    if (style.align === 'capHeight') {
+        alignLine -= metrics.capHeight * scale;
+    } else if (style.align === 'xHeight') {
+        alignLine -= metrics.xHeight * scale;
+    }
+    const baselineOffset = Math.ceil(alignLine / style.baselineUnit) * style.baselineUnit - alignLine;
+    return { firstBaseline: round(firstBaseline), baselineOffset: round(baselineOffset) };
+}
+
+/**
+ * Name of an element in platform code
+ * @param {string} identifier - Element identifier
+ * @param {string} style - 'camel' (Swift, Kotlin) or 'snake' (Android resources)
+ * @returns {string} Valid identifier
+ */
+function toPlatformName(identifier, style) {
+    const words = identifier
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[^a-zA-Z0-9]+/)
+        .filter(Boolean)
+        .map(word => word.toLowerCase());
+    const name = style === 'snake'
+        ? words.join('_')
+        : words.map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+    return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+const HEADER = `// AUTO-GENERATED FILE. DO NOT EDIT DIRECTLY.
+// Generated by @lyubomir-popov/baseline-nudge-generator
+`;
+
+/**
+ * Swift source with a BaselineTypeStyle per element
+ * @param {Object[]} styles - Native styles of the ios platform
+ * @param {number} baselineUnit - Baseline unit in pt
+ * @returns {string} Swift source
+ */
+function generateSwift(styles, baselineUnit) {
+    const properties = styles.map(style => `    /// ${style.identifier}: first baseline at ${style.firstBaseline}pt before the offset
+    public static let ${toPlatformName(style.identifier, 'camel')} = BaselineTypeStyle(
+        fontFamily: "${style.fontName}",
+        fontWeight: .${UIFONT_WEIGHTS[Math.round(style.fontWeight / 100) * 100] || 'regular'},
+        italic: ${style.fontStyle === 'italic'},
+        fontSize: ${style.fontSize},
+        lineHeight: ${style.lineHeight},
+        baselineOffset: ${style.baselineOffset},
+        spaceAfter: ${style.spaceAfter}
+    )`).join('\n\n');
+
+    return `${HEADER}
+import UIKit
+
+/// A text style on the baseline grid, sizes in points
+public struct BaselineTypeStyle {
+    public let fontFamily: String
+    public let fontWeight: UIFont.Weight
+    public let italic: Bool
+    public let fontSize: CGFloat
+    /// Set as minimumLineHeight and maximumLineHeight
+    public let lineHeight: CGFloat
+    /// Top inset that moves the first baseline onto the grid
+    public let baselineOffset: CGFloat
+    public let spaceAfter: CGFloat
+
+    /// Bottom spacing so the offset and the spacing add up to spaceAfter
+    public var bottomSpacing: CGFloat {
+        return spaceAfter - baselineOffset
+    }
+
+    public var font: UIFont {
+        var descriptor = UIFontDescriptor(fontAttributes: [
+            .family: fontFamily,
+            .traits: [UIFontDescriptor.TraitKey.weight: fontWeight]
+        ])
+        if italic, let italicDescriptor = descriptor.withSymbolicTraits(.traitItalic) {
+            descriptor = italicDescriptor
+        }
+        return UIFont(descriptor: descriptor, size: fontSize)
+    }
+
+    public var paragraphStyle: NSParagraphStyle {
+        let style = NSMutableParagraphStyle()
+        style.minimumLineHeight = lineHeight
+        style.maximumLineHeight = lineHeight
+        return style
+    }
+
+    public var attributes: [NSAttributedString.Key: Any] {
+        return [.font: font, .paragraphStyle: paragraphStyle]
+    }
+}
+
+public enum Typography {
+    public static let baselineUnit: CGFloat = ${baselineUnit}
+
+${properties}
+}
+`;
+}
+
+/**
+ * Android resources: dimens per element and a TextView style applying them
+ * Offsets and spacing are in sp like the sizes, so the grid holds at any font scale
+ * @param {Object[]} styles - Native styles of the android platform
+ * @param {number} baselineUnit - Baseline unit in sp
+ * @returns {string} XML resource file
+ */
+function generateAndroidXml(styles, baselineUnit) {
+    const resources = styles.map(style => {
+        const name = toPlatformName(style.identifier, 'snake');
+        const styleName = toPlatformName(style.identifier, 'camel').replace(/^_?./, first => first.replace('_', '').toUpperCase());
+        const textStyle = [style.fontWeight >= 600 ? 'bold' : null, style.fontStyle === 'italic' ? 'italic' : null].filter(Boolean).join('|') || 'normal';
+        return `    <!-- ${style.identifier}: ${style.fontName} ${style.fontWeight}, first baseline at ${style.firstBaseline}sp before the offset -->
+    <dimen name="type_${name}_text_size">${style.fontSize}sp</dimen>
+    <dimen name="type_${name}_line_height">${style.lineHeight}sp</dimen>
+    <dimen name="type_${name}_baseline_offset">${style.baselineOffset}sp</dimen>
+    <dimen name="type_${name}_space_after">${style.spaceAfter}sp</dimen>
+    <dimen name="type_${name}_margin_bottom">${round(style.spaceAfter - style.baselineOffset)}sp</dimen>
+    <style name="BaselineType.${styleName}">
+        <item name="android:textSize">@dimen/type_${name}_text_size</item>
+        <item name="android:lineHeight">@dimen/type_${name}_line_height</item>
+        <item name="android:textStyle">${textStyle}</item>
+        <item name="android:includeFontPadding">false</item>
+        <item name="android:paddingTop">@dimen/type_${name}_baseline_offset</item>
+        <item name="android:layout_marginBottom">@dimen/type_${name}_margin_bottom</item>
+    </style>`;
+    }).join('\n\n');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+${HEADER.replace(/\/\/ (.*)\n/g, '<!-- $1 -->\n')}<resources>
+    <!-- Spacing is in sp so it scales with the text at any font scale -->
+    <dimen name="baseline_unit">${baselineUnit}sp</dimen>
+
+${resources}
+</resources>
+`;
+}
+
+/**
+ * Jetpack Compose source with a BaselineTextStyle per element
+ * Offsets and spacing are sp, converted to Dp with the density at runtime
+ * @param {Object[]} styles - Native styles of the compose platform
+ * @param {number} baselineUnit - Baseline unit in sp
+ * @param {string} packageName - Kotlin package
+ * @returns {string} Kotlin source
+ */
+function generateCompose(styles, baselineUnit, packageName) {
+    const properties = styles.map(style => `    /** ${style.identifier}: first baseline at ${style.firstBaseline}sp before the offset */
+    val ${toPlatformName(style.identifier, 'camel')} = BaselineTextStyle(
+        textStyle = gridTextStyle(
+            fontSize = ${style.fontSize}.sp,
+            lineHeight = ${style.lineHeight}.sp,
+            fontWeight = FontWeight(${style.fontWeight}),
+            fontStyle = FontStyle.${style.fontStyle === 'italic' ? 'Italic' : 'Normal'}
+        ),
+        baselineOffset = ${style.baselineOffset}.sp,
+        spaceAfter = ${style.spaceAfter}.sp
+    )`).join('\n\n');
+
+    return `${HEADER}
+package ${packageName}
+
+import androidx.compose.ui.text.PlatformTextStyle
+import androidx.compose.ui.text.TextStyle
+import androidx.compose.ui.text.font.FontStyle
+import androidx.compose.ui.text.font.FontWeight
+import androidx.compose.ui.text.style.LineHeightStyle
+import androidx.compose.ui.unit.Density
+import androidx.compose.ui.unit.Dp
+import androidx.compose.ui.unit.TextUnit
+import androidx.compose.ui.unit.sp
+
+/**
+ * A text style on the baseline grid; apply baselineOffset as top padding.
+ * Offsets are sp so they scale with the text; convert them with the current density
+ * (LocalDensity.current), which includes the font scale.
+ */
+data class BaselineTextStyle(
+    val textStyle: TextStyle,
+    val baselineOffset: TextUnit,
+    val spaceAfter: TextUnit
+) {
+    /** Bottom spacing so the offset and the spacing add up to spaceAfter */
+    val bottomSpacing: TextUnit get() = (spaceAfter.value - baselineOffset.value).sp
+
+    fun baselineOffsetDp(density: Density): Dp = with(density) { baselineOffset.toDp() }
+
+    fun bottomSpacingDp(density: Density): Dp = with(density) { bottomSpacing.toDp() }
+}
+
+// The offsets assume centered line height without trimming and without font padding
+private fun gridTextStyle(fontSize: TextUnit, lineHeight: TextUnit, fontWeight: FontWeight, fontStyle: FontStyle) = TextStyle(
+    fontSize = fontSize,
+    lineHeight = lineHeight,
+    fontWeight = fontWeight,
+    fontStyle = fontStyle,
+    lineHeightStyle = LineHeightStyle(
+        alignment = LineHeightStyle.Alignment.Center,
+        trim = LineHeightStyle.Trim.None
+    ),
+    platformStyle = PlatformTextStyle(includeFontPadding = false)
+)
+
+/** Set the font family with textStyle.copy(fontFamily = ...) */
+object BaselineTypography {
+    val baselineUnit = ${baselineUnit}.sp
+
+${properties}
+}
+`;
+}
+
+module.exports = {
+    NATIVE_LAYOUTS,
+    calculateNativeBaselineOffset,
+    toPlatformName,
+    generateSwift,
+    generateAndroidXml,
+    generateCompose
+};
@@ -0,0 +1,113 @@
+/**
+ * Nudge Algorithms
+ * Strategies that turn the exact distance to the next grid line into the nudge
+ * written to the tokens. Custom strategies can be registered through the API.
+ * @author Lyubomir Popov
+ */
+
+const DEFAULT_NUDGE_ALGORITHM = 'legacy-compensated';
+
+/**
+ * Registered algorithms by name. Each has a description and a calculate(context)
+ * function returning the nudge in rem. The context carries:
+ * gridNudgeRem (exact distance to the next grid line), fontSizeRem, lineHeightRem
+ * (in baseline units), baselineUnitRem, rootFontSize, align, isTrimmed, options
+ * (from the config) and trace(name, value, unit, formula) for explain mode.
+ */
+const algorithms = new Map();
+
+/**
+ * Register a nudge algorithm
+ * @param {string} name - Name used by the config algorithm field
+ * @param {Function|Object} algorithm - calculate(context) function, or { calculate, description }
+ */
+function registerNudgeAlgorithm(name, algorithm) {
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new Error('Nudge algorithm name must be a non-empty string');
+    }
+    const definition = typeof algorithm === 'function' ? { calculate: algorithm } : algorithm;
+    if (!definition || typeof definition.calculate !== 'function') {
+        throw new Error(`Nudge algorithm "${name}" must be a function or an object with a calculate function`);
+    }
+    algorithms.set(name, { description: '', ...definition, name });
+}
+
+/**
+ * Names of all registered algorithms
+ * @returns {string[]} Algorithm names
+ */
+function getNudgeAlgorithmNames() {
+    return [...algorithms.keys()];
+}
+
+/**
+ * Split a config algorithm value into its name and options
+ * @param {string|Object} algorithm - Algorithm name, or { name, ...options }
+ * @returns {Object} name and options
+ */
+function normalizeAlgorithm(algorithm) {
+    if (algorithm && typeof algorithm === 'object') {
+        const { name, ...options } = algorithm;
+        return { name: name || DEFAULT_NUDGE_ALGORITHM, options };
+    }
+    return { name: algorithm || DEFAULT_NUDGE_ALGORITHM, options: {} };
+}
+
+/**
+ * Look up a registered algorithm
+ * @param {string|Object} algorithm - Algorithm name, or { name, ...options }
+ * @returns {Object} Algorithm definition with the options from the config
+ */
+function resolveNudgeAlgorithm(algorithm) {
+    const { name, options } = normalizeAlgorithm(algorithm);
+    const definition = algorithms.get(name);
+    if (!definition) {
+        throw new Error(`Unknown nudge algorithm "${name}". Available: ${getNudgeAlgorithmNames().join(', ')}`);
+    }
+    return { ...definition, options };
+}
+
+registerNudgeAlgorithm('exact', {
+    description: 'Exact distance to the next grid line, no compensation',
+    calculate: context => context.gridNudgeRem
+});
+
+registerNudgeAlgorithm('legacy-compensated', {
+    description: 'Exact nudge minus a 1px compensation that grows with the font size above 1rem',
+    calculate: context => {
+        // Trimmed boxes get the same compensation: their baseline still follows the ascent browsers round
+        const { gridNudgeRem, fontSizeRem, rootFontSize, trace } = context;
+
+        // Convert 1px to rem using the configured root font size and subtract a fraction of it
+        const onePixelInRem = trace('onePixel', 1 / rootFontSize, 'rem', `1px at a ${rootFontSize}px root`);
+
+        // Use scaling compensation that smoothly transitions from 0 at 1rem to full at larger sizes
+        const scaleFactor = trace('scaleFactor', Math.max(0, fontSizeRem - 1), 'rem', 'max(0, fontSize - 1)');
+        const compensation = trace('compensation', (onePixelInRem / fontSizeRem) * scaleFactor, 'rem', 'onePixel / fontSize × scaleFactor');
+
+        // Only apply compensation if the original nudge is not zero
+        // If the nudge is 0, the text is already perfectly aligned to the grid
+        if (gridNudgeRem > 0) {
+            return trace('compensatedNudge', gridNudgeRem - compensation, 'rem', 'gridNudge - compensation');
+        }
+        return trace('compensatedNudge', gridNudgeRem, 'rem', 'gridNudge is 0, no compensation');
+    }
+});
+
+registerNudgeAlgorithm('round-to-device-pixel', {
+    description: 'Exact nudge rounded to whole device pixels (option devicePixelRatio, default 1), as browsers lay it out',
+    calculate: context => {
+        const { gridNudgeRem, rootFontSize, options, trace } = context;
+        const devicePixelRatio = options.devicePixelRatio || 1;
+        const devicePixels = trace('gridNudgeDevicePx', gridNudgeRem * rootFontSize * devicePixelRatio, 'device px', `gridNudge × ${rootFontSize}px × DPR ${devicePixelRatio}`);
+        return trace('roundedNudge', Math.round(devicePixels) / devicePixelRatio / rootFontSize, 'rem', 'round(gridNudgeDevicePx) / DPR / rootFontSize');
+    }
+});
+
+module.exports = {
+    DEFAULT_NUDGE_ALGORITHM,
+    registerNudgeAlgorithm,
+    getNudgeAlgorithmNames,
+    normalizeAlgorithm,
+    resolveNudgeAlgorithm
+};
@@ -5,6 +5,19 @@ const opentype = require('opentype.js');
 const { validateConfigFile } = require('./config-validator');
 const { FontFileError, ConfigurationError, FontMetricsError } = require('./error-handler');
 const { extractRobustFontName } = require('./font-name-extractor');
+const { getBuiltInFallback, calculateFallbackOverrides } = require('./fallback-metrics');
+const { expandConfig } = require('./type-scale');
+const { DEFAULT_NUDGE_ALGORITHM, normalizeAlgorithm, resolveNudgeAlgorithm } = require('./nudge-algorithms');
+const { DEFAULT_SIMULATION_OPTIONS, simulateBaselines, summarizeDrift } = require('./pixel-simulation');
+const { breakpointToPx, sortBreakpoints, getConfigBreakpoints, getBreakpointBaselineUnit, resolveElementBreakpoints } = require('./breakpoints');
+const { DEFAULT_TOLERANCE_PX, getSampleViewports, interpolateFontSize, buildClamp, groupOffGridRanges } = require('./fluid-type');
+const { NATIVE_LAYOUTS, calculateNativeBaselineOffset, generateSwift, generateAndroidXml, generateCompose } = require('./native-platforms');
+const { resolveFormatter, loadFormatterModule, getDefaultOutputs } = require('./output-formatters');
+const { createUnifiedDiff } = require('./unified-diff');
+
+// Browser default root font size in px, used when config.rootFontSize is not set
+const DEFAULT_ROOT_FONT_SIZE = 16;
+
 
 class BaselineNudgeGenerator {
     constructor(fontMetrics = null, parser = 'fontkit') {
@@ -14,9 +27,9 @@ class BaselineNudgeGenerator {
 
 
 
-    async readFontMetrics(fontPath) {
+    async readFontMetrics(fontPath, options = {}) {
     // Use fontkit as the default parser
-        return await fontkitParser.readFontMetrics(fontPath);
+        return await fontkitParser.readFontMetrics(fontPath, options);
     }
 
     // Comprehensive font name extraction from metadata
@@ -35,26 +48,13 @@ class BaselineNudgeGenerator {
         return extractRobustFontName(fontPath, nameTable, otFont);
     }
 
-    // Find font file in directory
+    // Find font file in directory, trying the other font extensions
     findFontFile(directory, fontFileName) {
-    // Try the exact filename as provided first
-        const exactPath = path.join(directory, fontFileName);
-        if (fs.existsSync(exactPath)) {
-            return exactPath;
-        }
-        // Then try possible extensions
-        const possibleExtensions = ['.woff2', '.woff', '.ttf', '.otf'];
-        const baseName = fontFileName.replace(/\.[^.]+$/, ''); // Remove extension if provided
-        for (const ext of possibleExtensions) {
-            const fullPath = path.join(directory, baseName + ext);
-            if (fs.existsSync(fullPath)) {
-                return fullPath;
-            }
-        }
-        return null;
+        return fontkitParser.findFontFile(directory, fontFileName);
     }
 
-    calculateNudgeRem(fontSizeRem, lineHeightRem, baselineUnitRem) {
+    // Distance from the top of the line box to the alphabetic baseline, in rem
+    calculateBaselineOffsetRem(fontSizeRem, lineHeightRem, baselineUnitRem) {
         if (!this.fontMetrics) {
             throw new Error('Font metrics not loaded. Cannot calculate baseline nudges without font file.');
         }
@@ -72,32 +72,478 @@ class BaselineNudgeGenerator {
         // CORRECTED: lineGap should be distributed equally above and below the text
         // The baseline position should be: leading/2 + ascender + lineGap/2
         // This fixes the calculation that was adding the full lineGap to the ascender
-        const baselineOffsetRem = leadingRem / 2 + ascenderRem + (lineGapRem / 2);
+        return leadingRem / 2 + ascenderRem + (lineGapRem / 2);
+    }
 
-        let nudgeRem = (Math.ceil(baselineOffsetRem / baselineUnitRem) * baselineUnitRem) - baselineOffsetRem;
+    // Height of the cap-height or x-height line above the baseline, in rem
+    calculateAlignmentHeightRem(fontSizeRem, align) {
+        const { capHeight, xHeight, unitsPerEm } = this.fontMetrics;
+        switch (align) {
+        case 'capHeight':
+            return capHeight * fontSizeRem / unitsPerEm;
+        case 'xHeight':
+            return xHeight * fontSizeRem / unitsPerEm;
+        default:
+            return 0; // 'baseline' and 'both' snap the baseline itself
+        }
+    }
 
-        // Add compensation for 1px drift by slightly reducing the nudge
-        // Convert 1px to rem (assuming 16px root font size) and subtract a fraction of it
-        const onePixelInRem = 1 / 16; // 1px = 0.0625rem at 16px root
-        const compensation = onePixelInRem * 1; // Use 1 pixel as compensation (2x more than original)
+    // Distance that moves the line selected by the alignment mode down to the next grid line, in rem
+    calculateGridNudgeRem(fontSizeRem, lineHeightRem, baselineUnitRem, align = 'baseline') {
+        const baselineOffsetRem = this.calculateBaselineOffsetRem(fontSizeRem, lineHeightRem, baselineUnitRem);
+        const alignOffsetRem = baselineOffsetRem - this.calculateAlignmentHeightRem(fontSizeRem, align);
+        return (Math.ceil(alignOffsetRem / baselineUnitRem) * baselineUnitRem) - alignOffsetRem;
+    }
 
-        // Use scaling compensation that smoothly transitions from 0 at 1rem to full at larger sizes
-        const scaleFactor = Math.max(0, fontSizeRem - 1); // 0 at 1rem, increases with font size
-        const proportionalCompensation = (compensation / fontSizeRem) * scaleFactor;
+    calculateNudgeRem(fontSizeRem, lineHeightRem, baselineUnitRem, rootFontSize = DEFAULT_ROOT_FONT_SIZE, align = 'baseline', algorithm = DEFAULT_NUDGE_ALGORITHM) {
+        // Snap the line selected by the alignment mode to the next grid line
+        const nudgeRem = this.calculateGridNudgeRem(fontSizeRem, lineHeightRem, baselineUnitRem, align);
 
-        // Only apply compensation if the original nudge is not zero
-        // If nudgeRem is 0, the text is already perfectly aligned to the grid
-        let compensatedNudgeRem = nudgeRem;
-        if (nudgeRem > 0) {
-            compensatedNudgeRem = nudgeRem - proportionalCompensation;
-        }
+        // The algorithm decides how the exact nudge is compensated or rounded
+        return this.applyNudgeAlgorithm(nudgeRem, { fontSizeRem, lineHeightRem, baselineUnitRem, rootFontSize, align, isTrimmed: false }, algorithm);
+    }
+
+    /**
+     * Run the nudge algorithm on the exact distance to the next grid line
+     * @param {number} gridNudgeRem - Exact nudge in rem
+     * @param {Object} context - fontSizeRem, lineHeightRem, baselineUnitRem, rootFontSize, align and isTrimmed
+     * @param {string|Object} algorithm - Algorithm name, or { name, ...options }
+     * @param {Function} trace - Records intermediate values (explain mode)
+     * @returns {number} Nudge in rem, rounded to 5 decimals
+     */
+    applyNudgeAlgorithm(gridNudgeRem, context, algorithm = DEFAULT_NUDGE_ALGORITHM, trace = (name, value) => value) {
+        const { calculate, options } = resolveNudgeAlgorithm(algorithm);
+        let nudgeRem = calculate({ ...context, gridNudgeRem, options, trace });
 
         // Fix negative nudges by moving to next grid line
-        if (compensatedNudgeRem < 0) {
-            compensatedNudgeRem = compensatedNudgeRem + baselineUnitRem;
+        if (nudgeRem < 0) {
+            nudgeRem = trace('wrappedNudge', nudgeRem + context.baselineUnitRem, 'rem', 'negative nudge + baselineUnit');
+        }
+
+        return Math.round(nudgeRem * 100000) / 100000;
+    }
+
+    /**
+     * Trim needed above the cap height, plus how far the cap-height line and the
+     * baseline end up from the nearest grid line once the nudge is applied
+     * @param {number} fontSizeRem - Font size in rem
+     * @param {number} lineHeightRem - Line height in baseline units
+     * @param {number} baselineUnitRem - Baseline unit in rem
+     * @param {number} nudgeRem - Padding-top nudge already applied
+     * @param {boolean} isTrimmed - Whether the box is already trimmed to the cap height (trim strategies)
+     * @returns {Object} trimTop, capGridOffset and baselineGridOffset in rem
+     */
+    calculateTrimRem(fontSizeRem, lineHeightRem, baselineUnitRem, nudgeRem, isTrimmed = false) {
+        const capHeightRem = this.calculateAlignmentHeightRem(fontSizeRem, 'capHeight');
+        const baselineRem = isTrimmed
+            ? nudgeRem + capHeightRem
+            : nudgeRem + this.calculateBaselineOffsetRem(fontSizeRem, lineHeightRem, baselineUnitRem);
+        const capTopRem = baselineRem - capHeightRem;
+
+        // Signed distance to the nearest grid line (positive = below it), so 0 means flush
+        const gridOffset = value => value - Math.round(value / baselineUnitRem) * baselineUnitRem;
+        const round = value => Math.round(value * 100000) / 100000;
+
+        return {
+            trimTop: round(capTopRem),
+            capGridOffset: round(gridOffset(capTopRem)),
+            baselineGridOffset: round(gridOffset(baselineRem))
+        };
+    }
+
+    // Nudge for a box trimmed to cap height and alphabetic baseline (text-box-trim and capsize)
+    calculateTrimmedNudgeRem(fontSizeRem, baselineUnitRem, align = 'baseline', rootFontSize = DEFAULT_ROOT_FONT_SIZE, algorithm = DEFAULT_NUDGE_ALGORITHM) {
+        if (!this.fontMetrics) {
+            throw new Error('Font metrics not loaded. Cannot calculate baseline nudges without font file.');
+        }
+
+        // The trimmed box starts at the cap height, so the aligned line sits capHeight - alignHeight below its top
+        const capHeightRem = this.calculateAlignmentHeightRem(fontSizeRem, 'capHeight');
+        const alignOffsetRem = capHeightRem - this.calculateAlignmentHeightRem(fontSizeRem, align);
+        const nudgeRem = (Math.ceil(alignOffsetRem / baselineUnitRem) * baselineUnitRem) - alignOffsetRem;
+
+        return this.applyNudgeAlgorithm(nudgeRem, { fontSizeRem, lineHeightRem: null, baselineUnitRem, rootFontSize, align, isTrimmed: true }, algorithm);
+    }
+
+    /**
+     * Space to trim above the cap height and below the baseline of a line box,
+     * the same amounts text-box-trim removes and the capsize technique pulls in
+     * @param {number} fontSizeRem - Font size in rem
+     * @param {number} lineHeightRem - Line height in baseline units
+     * @param {number} baselineUnitRem - Baseline unit in rem
+     * @param {number} nudgeRem - Padding-top nudge of the trimmed box
+     * @returns {Object} capHeightTrim, baselineTrim and gridRemainder in rem
+     */
+    calculateTextBoxTrimRem(fontSizeRem, lineHeightRem, baselineUnitRem, nudgeRem) {
+        const baselineOffsetRem = this.calculateBaselineOffsetRem(fontSizeRem, lineHeightRem, baselineUnitRem);
+        const capHeightRem = this.calculateAlignmentHeightRem(fontSizeRem, 'capHeight');
+        const firstBaselineRem = nudgeRem + capHeightRem;
+        const round = value => Math.round(value * 100000) / 100000;
+
+        return {
+            capHeightTrim: round(baselineOffsetRem - capHeightRem),
+            baselineTrim: round(lineHeightRem * baselineUnitRem - baselineOffsetRem),
+            // Extra margin that brings the bottom of the box (the last baseline) back to a grid line
+            gridRemainder: round(Math.ceil(firstBaselineRem / baselineUnitRem - 1e-4) * baselineUnitRem - firstBaselineRem)
+        };
+    }
+
+    // Default readable line-height ratio: 1.5 for body text, tightening to 1.1 for large display sizes
+    getDefaultMinLineHeightRatio(fontSizeRem) {
+        return Math.min(1.5, Math.max(1.1, 1.5 - 0.15 * (fontSizeRem - 1)));
+    }
+
+    /**
+     * Pick the smallest whole number of baseline units that gives a readable
+     * line-height ratio and a nudge of at most half a baseline unit
+     * @param {number} fontSizeRem - Font size in rem
+     * @param {number} baselineUnitRem - Baseline unit in rem
+     * @param {Object} options - Options
+     * @param {number} options.minRatio - Smallest line-height / font-size ratio (default depends on font size)
+     * @param {number} options.maxRatio - Largest ratio (default minRatio + 0.3)
+     * @param {number} options.rootFontSize - Root font size in px
+     * @param {string} options.align - Alignment mode passed to calculateNudgeRem
+     * @param {string|Object} options.algorithm - Nudge algorithm passed to calculateNudgeRem
+     * @returns {Object} lineHeight in baseline units, lineHeightRem, ratio and nudgeTop in rem
+     */
+    suggestLineHeight(fontSizeRem, baselineUnitRem, options = {}) {
+        const minRatio = options.minRatio || this.getDefaultMinLineHeightRatio(fontSizeRem);
+        const maxRatio = Math.max(options.maxRatio || minRatio + 0.3, minRatio);
+        const rootFontSize = options.rootFontSize || DEFAULT_ROOT_FONT_SIZE;
+
+        const evaluate = lineHeight => {
+            const lineHeightRem = lineHeight * baselineUnitRem;
+            return {
+                lineHeight,
+                lineHeightRem: Math.round(lineHeightRem * 100000) / 100000,
+                ratio: Math.round(lineHeightRem / fontSizeRem * 1000) / 1000,
+                nudgeTop: this.calculateNudgeRem(fontSizeRem, lineHeight, baselineUnitRem, rootFontSize, options.align, options.algorithm)
+            };
+        };
+
+        const first = Math.max(1, Math.ceil(fontSizeRem * minRatio / baselineUnitRem - 1e-9));
+        const last = Math.max(first, Math.floor(fontSizeRem * maxRatio / baselineUnitRem + 1e-9));
+        const candidates = [];
+        for (let lineHeight = first; lineHeight <= last; lineHeight++) {
+            candidates.push(evaluate(lineHeight));
+        }
+
+        // A nudge above half a unit pushes the text visibly down; the next multiple usually halves it
+        return candidates.find(candidate => candidate.nudgeTop <= baselineUnitRem / 2) || candidates[0];
+    }
+
+    // Resolve lineHeight: "auto" to a number of baseline units
+    resolveLineHeight(element, baselineUnitRem, rootFontSize = DEFAULT_ROOT_FONT_SIZE, algorithm = DEFAULT_NUDGE_ALGORITHM) {
+        if (element.lineHeight !== 'auto') {
+            return element.lineHeight;
+        }
+        return this.suggestLineHeight(element.fontSize, baselineUnitRem, {
+            minRatio: element.minRatio,
+            maxRatio: element.maxRatio,
+            rootFontSize,
+            align: element.align,
+            algorithm
+        }).lineHeight;
+    }
+
+    /**
+     * Suggest line heights for every element of a configuration
+     * @param {Object} config - Parsed configuration
+     * @param {Object} fontMetricsMap - Font metrics by family, from loadFontMetrics
+     * @returns {Object[]} One row per element with the current and suggested line height
+     */
+    suggestLineHeights(config, fontMetricsMap) {
+        const { baselineUnit, elements } = expandConfig(config);
+        const rootFontSize = config.rootFontSize || DEFAULT_ROOT_FONT_SIZE;
+
+        return elements.map(element => {
+            const metricsGenerator = this.getElementMetricsGenerator(element, config, fontMetricsMap);
+            const suggestion = metricsGenerator.suggestLineHeight(element.fontSize, baselineUnit, {
+                minRatio: element.minRatio,
+                maxRatio: element.maxRatio,
+                rootFontSize,
+                align: element.align,
+                algorithm: config.algorithm
+            });
+            const current = element.lineHeight === 'auto' ? null : element.lineHeight;
+
+            return {
+                identifier: this.getElementName(element),
+                fontSize: element.fontSize,
+                currentLineHeight: current,
+                currentNudgeTop: current === null ? null : metricsGenerator.calculateNudgeRem(element.fontSize, current, baselineUnit, rootFontSize, element.align, config.algorithm),
+                ...suggestion
+            };
+        });
+    }
+
+    /**
+     * Search baseline units and line-height multiples for the combination that
+     * needs the smallest nudges across all elements of a configuration
+     * @param {Object} config - Parsed configuration (its baselineUnit and lineHeight values are ignored)
+     * @param {Object} fontMetricsMap - Font metrics by family, from loadFontMetrics
+     * @param {Object} options - Search constraints
+     * @param {number} options.unitStep - Baseline units are multiples of this, in rem (default 0.125)
+     * @param {number} options.minUnit - Smallest baseline unit in rem (default unitStep)
+     * @param {number} options.maxUnit - Largest baseline unit in rem (default 1)
+     * @param {number} options.minRatio - Smallest line-height / font-size ratio (default 1.2)
+     * @param {number} options.maxRatio - Largest line-height / font-size ratio (default 1.6)
+     * @param {number} options.lineHeightStep - Line heights are multiples of this many baseline units (default 1)
+     * @returns {Object[]} Candidates ranked by score: the mean error of the elements, where an
+     *   element's error is its nudge plus its compensation error as a fraction of the baseline unit
+     */
+    optimizeBaselineUnit(config, fontMetricsMap, options = {}) {
+        const { elements } = expandConfig(config);
+        const rootFontSize = config.rootFontSize || DEFAULT_ROOT_FONT_SIZE;
+        const unitStep = options.unitStep || 0.125;
+        const minUnit = options.minUnit || unitStep;
+        const maxUnit = options.maxUnit || 1;
+        const minRatio = options.minRatio || 1.2;
+        const maxRatio = Math.max(options.maxRatio || 1.6, minRatio);
+        const lineHeightStep = options.lineHeightStep || 1;
+        const round = value => Math.round(value * 100000) / 100000;
+
+        const metricsGenerators = elements.map(element => this.getElementMetricsGenerator(element, config, fontMetricsMap));
+        const candidates = [];
+
+        for (let step = Math.ceil(minUnit / unitStep - 1e-9); step * unitStep <= maxUnit + 1e-9; step++) {
+            const baselineUnit = round(step * unitStep);
+            if (baselineUnit <= 0) {
+                continue;
+            }
+
+            const rows = elements.map((element, index) => {
+                const metricsGenerator = metricsGenerators[index];
+                const fontSize = element.fontSize;
+                const first = Math.ceil(fontSize * minRatio / baselineUnit / lineHeightStep - 1e-9);
+                const last = Math.floor(fontSize * maxRatio / baselineUnit / lineHeightStep + 1e-9);
+                let best = null;
+                let bestError = Infinity;
+
+                for (let multiple = Math.max(1, first); multiple <= last; multiple++) {
+                    const lineHeight = round(multiple * lineHeightStep);
+                    const nudgeTop = metricsGenerator.calculateNudgeRem(fontSize, lineHeight, baselineUnit, rootFontSize, element.align, config.algorithm);
+                    // How far the drift compensation moves the text away from the exact grid position
+                    const drift = Math.abs(nudgeTop - metricsGenerator.calculateGridNudgeRem(fontSize, lineHeight, baselineUnit, element.align)) % baselineUnit;
+                    const compensationError = round(Math.min(drift, baselineUnit - drift));
+                    // In baseline units, so a smaller unit does not win just by allowing smaller nudges
+                    const error = round((Math.abs(nudgeTop) + compensationError) / baselineUnit);
+
+                    if (error < bestError - 1e-9) {
+                        bestError = error;
+                        best = {
+                            identifier: this.getElementName(element),
+                            fontSize,
+                            lineHeight,
+                            lineHeightRem: round(lineHeight * baselineUnit),
+                            ratio: Math.round(lineHeight * baselineUnit / fontSize * 1000) / 1000,
+                            nudgeTop,
+                            compensationError,
+                            error
+                        };
+                    }
+                }
+                return best;
+            });
+
+            // A unit is only an option if every element has a line height inside the ratio range
+            if (rows.some(row => row === null)) {
+                continue;
+            }
+
+            const totalNudge = round(rows.reduce((sum, row) => sum + row.nudgeTop, 0));
+            const totalCompensationError = round(rows.reduce((sum, row) => sum + row.compensationError, 0));
+            candidates.push({
+                baselineUnit,
+                score: round(rows.reduce((sum, row) => sum + row.error, 0) / rows.length),
+                totalNudge,
+                totalCompensationError,
+                maxNudge: Math.max(...rows.map(row => row.nudgeTop)),
+                elements: rows
+            });
+        }
+
+        return candidates.sort((a, b) => a.score - b.score || b.baselineUnit - a.baselineUnit);
+    }
+
+    /**
+     * Trace every intermediate value of calculateNudgeRem (or calculateTrimmedNudgeRem
+     * for the trim strategies) so a nudge can be checked by hand
+     * @param {number} fontSizeRem - Font size in rem
+     * @param {number} lineHeightRem - Line height in baseline units
+     * @param {number} baselineUnitRem - Baseline unit in rem
+     * @param {Object} options - Options
+     * @param {number} options.rootFontSize - Root font size in px
+     * @param {string} options.align - Alignment mode
+     * @param {boolean} options.isTrimmed - Whether the box is trimmed to the cap height
+     * @param {string|Object} options.algorithm - Nudge algorithm
+     * @returns {Object} nudgeTop in rem and steps ({ name, value, unit, formula })
+     */
+    explainNudgeRem(fontSizeRem, lineHeightRem, baselineUnitRem, options = {}) {
+        if (!this.fontMetrics) {
+            throw new Error('Font metrics not loaded. Cannot calculate baseline nudges without font file.');
         }
 
-        return Math.round(compensatedNudgeRem * 100000) / 100000;
+        const rootFontSize = options.rootFontSize || DEFAULT_ROOT_FONT_SIZE;
+        const align = options.align || 'baseline';
+        const { ascent, descent, lineGap, unitsPerEm } = this.fontMetrics;
+        const steps = [];
+        const add = (name, value, unit, formula) => {
+            steps.push({ name, value: typeof value !== 'number' || unit === 'units' ? value : Math.round(value * 100000) / 100000, unit, formula });
+            return value;
+        };
+
+        add('unitsPerEm', unitsPerEm, 'units', 'font head table');
+        add('ascent', ascent, 'units', `${this.fontMetrics.metricsSource || 'font'} metrics`);
+        add('descent', descent, 'units', `${this.fontMetrics.metricsSource || 'font'} metrics`);
+        add('lineGap', lineGap, 'units', `${this.fontMetrics.metricsSource || 'font'} metrics`);
+
+        const alignFormula = ['capHeight', 'xHeight'].includes(align) ? `${align} × fontSize / unitsPerEm` : `${align} alignment snaps the baseline itself`;
+        let alignOffsetRem;
+        if (options.isTrimmed) {
+            const capHeightRem = add('capHeight', this.calculateAlignmentHeightRem(fontSizeRem, 'capHeight'), 'rem', 'capHeight × fontSize / unitsPerEm');
+            const alignHeightRem = add('alignHeight', this.calculateAlignmentHeightRem(fontSizeRem, align), 'rem', alignFormula);
+            alignOffsetRem = add('alignOffset', capHeightRem - alignHeightRem, 'rem', 'capHeight - alignHeight (box trimmed to the cap height)');
+        } else {
+            const ascenderRem = add('ascender', ascent * fontSizeRem / unitsPerEm, 'rem', 'ascent × fontSize / unitsPerEm');
+            const descenderRem = add('descender', Math.abs(descent) * fontSizeRem / unitsPerEm, 'rem', '|descent| × fontSize / unitsPerEm');
+            const lineGapRem = add('lineGapRem', lineGap * fontSizeRem / unitsPerEm, 'rem', 'lineGap × fontSize / unitsPerEm');
+            const contentAreaRem = add('contentArea', ascenderRem + lineGapRem + descenderRem, 'rem', 'ascender + lineGap + descender');
+            const lineHeightAbsoluteRem = add('lineHeight', lineHeightRem * baselineUnitRem, 'rem', `${lineHeightRem} × baselineUnit`);
+            const leadingRem = add('leading', lineHeightAbsoluteRem - contentAreaRem, 'rem', 'lineHeight - contentArea');
+            const baselineOffsetRem = add('baselineOffset', leadingRem / 2 + ascenderRem + lineGapRem / 2, 'rem', 'leading / 2 + ascender + lineGap / 2');
+            const alignHeightRem = add('alignHeight', this.calculateAlignmentHeightRem(fontSizeRem, align), 'rem', alignFormula);
+            alignOffsetRem = add('alignOffset', baselineOffsetRem - alignHeightRem, 'rem', 'baselineOffset - alignHeight');
+        }
+
+        const gridLineRem = add('nextGridLine', Math.ceil(alignOffsetRem / baselineUnitRem) * baselineUnitRem, 'rem', 'ceil(alignOffset / baselineUnit) × baselineUnit');
+        const gridNudgeRem = add('gridNudge', gridLineRem - alignOffsetRem, 'rem', 'nextGridLine - alignOffset');
+
+        const algorithm = resolveNudgeAlgorithm(options.algorithm);
+        add('algorithm', algorithm.name, 'name', algorithm.description);
+        const context = { fontSizeRem, lineHeightRem, baselineUnitRem, rootFontSize, align, isTrimmed: Boolean(options.isTrimmed) };
+        const nudgeTop = add('nudgeTop', this.applyNudgeAlgorithm(gridNudgeRem, context, options.algorithm, add), 'rem', 'rounded to 5 decimals');
+        return { nudgeTop, steps };
+    }
+
+    /**
+     * Explain the nudge of every element of a configuration, or of one element
+     * @param {Object} config - Parsed configuration
+     * @param {Object} fontMetricsMap - Font metrics by family, from loadFontMetrics
+     * @param {string} identifier - Only explain the element with this identifier (optional)
+     * @returns {Object[]} One entry per element with its inputs, nudgeTop and steps
+     */
+    explainConfig(config, fontMetricsMap, identifier = null) {
+        config = expandConfig(config);
+        const { baselineUnit } = config;
+        const rootFontSize = config.rootFontSize || DEFAULT_ROOT_FONT_SIZE;
+        const nudgeStrategy = config.nudgeStrategy || 'padding';
+
+        const elements = config.elements.filter(element => !identifier || this.getElementName(element) === identifier);
+        if (identifier && elements.length === 0) {
+            throw new Error(`Element "${identifier}" not found. Available: ${config.elements.map(element => this.getElementName(element)).join(', ')}`);
+        }
+
+        return elements.map(element => {
+            const metricsGenerator = this.getElementMetricsGenerator(element, config, fontMetricsMap);
+            const lineHeight = metricsGenerator.resolveLineHeight(element, baselineUnit, rootFontSize, config.algorithm);
+            const trace = metricsGenerator.explainNudgeRem(element.fontSize, lineHeight, baselineUnit, {
+                rootFontSize,
+                align: element.align,
+                isTrimmed: nudgeStrategy !== 'padding',
+                algorithm: config.algorithm
+            });
+
+            return {
+                identifier: this.getElementName(element),
+                fontFamily: element.fontFamily || (config.fontFiles ? 'sans' : metricsGenerator.fontMetrics.fontName),
+                fontSize: element.fontSize,
+                lineHeight,
+                baselineUnit,
+                rootFontSize,
+                align: element.align || 'baseline',
+                nudgeStrategy,
+                algorithm: normalizeAlgorithm(config.algorithm).name,
+                ...trace
+            };
+        });
+    }
+
+    /**
+     * Simulate device pixel rounding of the generated tokens: every element is laid
+     * out as consecutive blocks and each baseline is compared with its grid line
+     * @param {Object} config - Parsed configuration
+     * @param {Object} fontMetricsMap - Font metrics by family, from loadFontMetrics
+     * @param {Object} options - Simulation options
+     * @param {number[]} options.devicePixelRatios - Device pixel ratios (default [1, 2])
+     * @param {number[]} options.rootFontSizes - Root font sizes in px (default the configured one)
+     * @param {number} options.lines - Lines per element (default 20)
+     * @param {number} options.linesPerBlock - Lines per block before spaceAfter (default 3)
+     * @param {number} options.threshold - Drift in device pixels that is flagged (default 1)
+     * @param {string} options.identifier - Only simulate this element (optional)
+     * @returns {Object[]} One row per element, device pixel ratio and root size with the drift summary and baselines
+     */
+    simulateDevicePixels(config, fontMetricsMap, options = {}) {
+        config = expandConfig(config);
+        const tokens = this.generateTokens(config, fontMetricsMap);
+        const settings = { ...DEFAULT_SIMULATION_OPTIONS, ...options };
+        const rootFontSizes = options.rootFontSizes || [parseFloat(tokens.rootFontSize)];
+        const isTrimmed = tokens.nudgeStrategy !== 'padding';
+
+        const elements = config.elements.filter(element => !options.identifier || this.getElementName(element) === options.identifier);
+        if (options.identifier && elements.length === 0) {
+            throw new Error(`Element "${options.identifier}" not found. Available: ${config.elements.map(element => this.getElementName(element)).join(', ')}`);
+        }
+
+        const rows = [];
+        for (const element of elements) {
+            const identifier = this.getElementName(element);
+            const token = tokens.elements[identifier];
+            const { fontMetrics } = this.getElementMetricsGenerator(element, config, fontMetricsMap);
+            const layout = {
+                fontSize: parseFloat(token.fontSize),
+                lineHeight: parseFloat(token.lineHeight),
+                nudgeTop: parseFloat(token.nudgeTop),
+                marginBottom: this.getMarginBottomRem(token, tokens.nudgeStrategy),
+                capHeightTrim: parseFloat(token.capHeightTrim),
+                baselineTrim: parseFloat(token.baselineTrim)
+            };
+
+            for (const rootFontSize of rootFontSizes) {
+                for (const devicePixelRatio of settings.devicePixelRatios) {
+                    const baselines = simulateBaselines(layout, fontMetrics, {
+                        baselineUnit: config.baselineUnit,
+                        rootFontSize,
+                        devicePixelRatio,
+                        lines: settings.lines,
+                        linesPerBlock: settings.linesPerBlock,
+                        isTrimmed
+                    });
+                    rows.push({
+                        identifier,
+                        devicePixelRatio,
+                        rootFontSize,
+                        ...summarizeDrift(baselines, settings.threshold),
+                        baselines
+                    });
+                }
+            }
+        }
+        return rows;
+    }
+
+    // Generator holding the font metrics an element is calculated with
+    getElementMetricsGenerator(element, config, fontMetricsMap) {
+        if (!config.fontFiles) {
+            return new BaselineNudgeGenerator((fontMetricsMap && fontMetricsMap.default) || this.fontMetrics);
+        }
+        const familyMetrics = fontMetricsMap[element.fontFamily || 'sans'];
+        if (!familyMetrics) {
+            throw new Error(`Font family "${element.fontFamily || 'sans'}" not found in fontMetricsMap. Available: ${Object.keys(fontMetricsMap).join(', ')}`);
+        }
+        const fontWeight = element.fontWeight || 400;
+        const face = this.resolveFontFace(familyMetrics, fontWeight, element.fontStyle || 'normal');
+        return new BaselineNudgeGenerator((face.instances && face.instances[fontWeight]) || face);
     }
 
     // Clean classname for CSS (remove leading dots, handle special characters)
@@ -108,6 +554,11 @@ class BaselineNudgeGenerator {
         return classname.replace(/^\./, '').replace(/[^a-zA-Z0-9_-]/g, '_');
     }
 
+    // Convert a rem value to px for the given root font size, rounded to 3 decimals
+    remToPx(rem, rootFontSize = DEFAULT_ROOT_FONT_SIZE) {
+        return Math.round(rem * rootFontSize * 1000) / 1000;
+    }
+
     getFontFormat(fontFile) {
         const ext = path.extname(fontFile).toLowerCase();
         switch (ext) {
@@ -126,7 +577,16 @@ class BaselineNudgeGenerator {
 
     // Generate tokens from new input format
     generateTokens(config, fontMetricsMap = null) {
+        config = expandConfig(config);
         const { baselineUnit, elements, fontFile, fontFiles } = config;
+        const rootFontSize = config.rootFontSize || DEFAULT_ROOT_FONT_SIZE;
+        const includePx = config.includePx === true;
+        const nudgeStrategy = config.nudgeStrategy || 'padding';
+
+        // Recorded in the tokens in the same form as the config, options included
+        const { name: algorithmName, options: algorithmOptions } = resolveNudgeAlgorithm(config.algorithm);
+        const algorithm = Object.keys(algorithmOptions).length > 0 ? { name: algorithmName, ...algorithmOptions } : algorithmName;
+        const settings = { baselineUnit, rootFontSize, includePx, nudgeStrategy, algorithm };
         
         // Determine if we're using the new multi-font format or legacy single-font format
         const isMultiFont = fontFiles && fontMetricsMap;
@@ -135,44 +595,43 @@ class BaselineNudgeGenerator {
             // New format with multiple fonts
             const tokens = {
                 baselineUnit: `${baselineUnit}rem`,
+                rootFontSize: `${rootFontSize}px`,
+                nudgeStrategy,
+                algorithm,
                 fontFiles: fontFiles,
+                metricsSources: {},
                 elements: {}
             };
+            for (const [family, metrics] of Object.entries(fontMetricsMap)) {
+                tokens.metricsSources[family] = metrics.metricsSource;
+            }
+            if (includePx) {
+                tokens.baselineUnitPx = `${this.remToPx(baselineUnit, rootFontSize)}px`;
+            }
 
             for (const element of elements) {
-                const { identifier, classname, tag, fontSize, lineHeight, spaceAfter, fontFamily, fontWeight, fontStyle } = element;
-                const fontSizeRem = fontSize;
-                const lineHeightRem = lineHeight;
+                const { fontFamily, fontWeight, fontStyle } = element;
                 
                 // Get the appropriate font metrics for this element
                 const elementFontFamily = fontFamily || 'sans'; // Default to sans if not specified
                 const elementFontWeight = fontWeight || 400; // Default to 400 if not specified
                 const elementFontStyle = fontStyle || 'normal'; // Default to normal if not specified
                 
-                const fontMetrics = fontMetricsMap[elementFontFamily];
-                if (!fontMetrics) {
-                    throw new Error(`Font family "${elementFontFamily}" not found in fontMetricsMap. Available: ${Object.keys(fontMetricsMap).join(', ')}`);
-                }
-                
-                // Create a temporary instance with the specific font metrics for calculation
-                const tempGenerator = new BaselineNudgeGenerator(fontMetrics);
-                const nudgeTop = tempGenerator.calculateNudgeRem(fontSizeRem, lineHeightRem, baselineUnit);
-                const spaceAfterRem = (spaceAfter !== undefined ? spaceAfter : 4) * baselineUnit; // Default to 4 baseline units if not specified
-
-                // Use identifier if available, otherwise use classname (backward compatibility), otherwise use tag, otherwise fallback to 'element'
-                const elementName = identifier || classname || tag || 'element';
-                const cleanName = this.cleanClassname(elementName);
-
-                tokens.elements[cleanName] = {
-                    fontSize: `${fontSizeRem}rem`,
-                    lineHeight: `${lineHeightRem * baselineUnit}rem`,
+                // Resolves the face for the element's weight and style, and the instance of variable fonts
+                const tempGenerator = this.getElementMetricsGenerator(element, config, fontMetricsMap);
+                const fontMetrics = tempGenerator.fontMetrics;
+                const fontProps = {
                     fontFamily: elementFontFamily,
                     fontWeight: elementFontWeight,
-                    fontStyle: elementFontStyle,
-                    spaceAfter: `${spaceAfterRem}rem`,
-                    nudgeTop: `${nudgeTop}rem`
+                    fontStyle: elementFontStyle
                 };
+                if (fontMetrics.variation) {
+                    fontProps.variation = fontMetrics.variation;
+                }
+
+                tokens.elements[this.getElementName(element)] = this.generateResponsiveElementToken(config, element, tempGenerator, fontProps, settings);
             }
+            this.addBreakpointTokens(tokens, config);
 
             return tokens;
         } else {
@@ -181,34 +640,263 @@ class BaselineNudgeGenerator {
                 font: this.fontMetrics.fontName || 'Unknown Font',
                 fontWeight: this.fontMetrics.fontWeight || 400,
                 baselineUnit: `${baselineUnit}rem`,
+                rootFontSize: `${rootFontSize}px`,
+                nudgeStrategy,
+                algorithm,
                 fontFile: fontFile,
+                metricsSource: this.fontMetrics.metricsSource,
                 elements: {}
             };
+            if (includePx) {
+                tokens.baselineUnitPx = `${this.remToPx(baselineUnit, rootFontSize)}px`;
+            }
 
             for (const element of elements) {
-                const { identifier, classname, tag, fontSize, lineHeight, spaceAfter } = element;
-                const fontSizeRem = fontSize;
-                const lineHeightRem = lineHeight;
-                const nudgeTop = this.calculateNudgeRem(fontSizeRem, lineHeightRem, baselineUnit);
-                const spaceAfterRem = (spaceAfter !== undefined ? spaceAfter : 4) * baselineUnit; // Default to 4 baseline units if not specified
-
-                // Use identifier if available, otherwise use classname (backward compatibility), otherwise use tag, otherwise fallback to 'element'
-                const elementName = identifier || classname || tag || 'element';
-                const cleanName = this.cleanClassname(elementName);
-
-                tokens.elements[cleanName] = {
-                    fontSize: `${fontSizeRem}rem`,
-                    lineHeight: `${lineHeightRem * baselineUnit}rem`,
-                    fontWeight: this.fontMetrics.fontWeight || 400,
-                    spaceAfter: `${spaceAfterRem}rem`,
-                    nudgeTop: `${nudgeTop}rem`
-                };
+                const fontProps = { fontWeight: this.fontMetrics.fontWeight || 400 };
+                tokens.elements[this.getElementName(element)] = this.generateResponsiveElementToken(config, element, this, fontProps, settings);
             }
+            this.addBreakpointTokens(tokens, config);
 
             return tokens;
         }
     }
 
+    /**
+     * Pick the face of a family that best matches a weight and style,
+     * following the CSS font matching algorithm
+     * @param {Object} familyMetrics - Family entry of fontMetricsMap, with optional faces array
+     * @param {number} fontWeight - Requested font weight
+     * @param {string} fontStyle - Requested font style ('normal' or 'italic')
+     * @returns {Object} Font metrics of the matching face
+     */
+    resolveFontFace(familyMetrics, fontWeight = 400, fontStyle = 'normal') {
+        const faces = familyMetrics.faces && familyMetrics.faces.length > 0 ? familyMetrics.faces : [familyMetrics];
+
+        // Style first: italic falls back to oblique then normal, normal to oblique then italic
+        const styleOrder = fontStyle === 'italic' ? ['italic', 'oblique', 'normal'] : ['normal', 'oblique', 'italic'];
+        const style = styleOrder.find(candidate => faces.some(face => (face.style || 'normal') === candidate));
+        const candidates = faces.filter(face => (face.style || 'normal') === style);
+
+        // Variable faces match every weight of their range
+        const rangeOf = face => face.weightRange || [face.weight || face.fontWeight || 400, face.weight || face.fontWeight || 400];
+        const exact = candidates.find(face => rangeOf(face)[0] <= fontWeight && fontWeight <= rangeOf(face)[1]);
+        if (exact) {
+            return exact;
+        }
+
+        const lighter = candidates.filter(face => rangeOf(face)[1] < fontWeight).sort((a, b) => rangeOf(b)[1] - rangeOf(a)[1]);
+        const heavier = candidates.filter(face => rangeOf(face)[0] > fontWeight).sort((a, b) => rangeOf(a)[0] - rangeOf(b)[0]);
+        let ordered;
+        if (fontWeight >= 400 && fontWeight <= 500) {
+            // Between 400 and 500: heavier up to 500, then lighter, then heavier beyond 500
+            ordered = [
+                ...heavier.filter(face => rangeOf(face)[0] <= 500),
+                ...lighter,
+                ...heavier.filter(face => rangeOf(face)[0] > 500)
+            ];
+        } else if (fontWeight < 400) {
+            ordered = [...lighter, ...heavier];
+        } else {
+            ordered = [...heavier, ...lighter];
+        }
+        return ordered[0];
+    }
+
+    // Use identifier if available, otherwise use classname (backward compatibility), otherwise use tag, otherwise fallback to 'element'
+    getElementName(element) {
+        const { identifier, classname, tag } = element;
+        return this.cleanClassname(identifier || classname || tag || 'element');
+    }
+
+    /**
+     * Build the token for a single element
+     * @param {Object} element - Element from config.elements
+     * @param {BaselineNudgeGenerator} metricsGenerator - Generator holding the element's font metrics
+     * @param {Object} fontProps - Font properties to include (fontFamily, fontWeight, fontStyle)
+     * @param {Object} settings - baselineUnit, rootFontSize, includePx, nudgeStrategy and algorithm
+     * @returns {Object} Element token
+     */
+    generateElementToken(element, metricsGenerator, fontProps, settings) {
+        const { fontSize, spaceAfter, align } = element;
+        const { baselineUnit, rootFontSize, includePx, nudgeStrategy, algorithm } = settings;
+        const fontSizeRem = fontSize;
+        const lineHeightRem = metricsGenerator.resolveLineHeight(element, baselineUnit, rootFontSize, algorithm);
+        const isTrimmed = nudgeStrategy !== 'padding';
+
+        // Trimmed boxes start at the cap height, so they need a different nudge
+        const nudgeTop = isTrimmed
+            ? metricsGenerator.calculateTrimmedNudgeRem(fontSizeRem, baselineUnit, align, rootFontSize, algorithm)
+            : metricsGenerator.calculateNudgeRem(fontSizeRem, lineHeightRem, baselineUnit, rootFontSize, align, algorithm);
+        const spaceAfterRem = (spaceAfter !== undefined ? spaceAfter : 4) * baselineUnit; // Default to 4 baseline units if not specified
+
+        const token = {
+            fontSize: `${fontSizeRem}rem`,
+            lineHeight: `${lineHeightRem * baselineUnit}rem`,
+            ...fontProps,
+            spaceAfter: `${spaceAfterRem}rem`,
+            nudgeTop: `${nudgeTop}rem`
+        };
+        if (isTrimmed) {
+            Object.assign(token, metricsGenerator.generateTextBoxTrimValues(fontSizeRem, lineHeightRem, baselineUnit, nudgeTop));
+        }
+        if (align) {
+            Object.assign(token, metricsGenerator.generateAlignmentValues(fontSizeRem, lineHeightRem, baselineUnit, nudgeTop, align, isTrimmed));
+        }
+        if (includePx) {
+            Object.assign(token, this.generatePxValues(fontSizeRem, lineHeightRem * baselineUnit, spaceAfterRem, nudgeTop, rootFontSize));
+        }
+        return token;
+    }
+
+    /**
+     * Element token plus the values at each of its breakpoints, computed with
+     * the baseline unit in effect there (font properties do not change), and
+     * its fluid steps
+     * @param {Object} config - Configuration
+     * @param {Object} element - Element configuration
+     * @param {BaselineNudgeGenerator} metricsGenerator - Generator holding the element's font metrics
+     * @param {Object} fontProps - Font properties written to the token
+     * @param {Object} settings - baselineUnit, rootFontSize, includePx, nudgeStrategy and algorithm
+     * @returns {Object} Element token, with breakpoints when the element has any
+     */
+    generateResponsiveElementToken(config, element, metricsGenerator, fontProps, settings) {
+        const token = this.generateElementToken(element, metricsGenerator, fontProps, settings);
+        if (element.fluid) {
+            token.fluid = this.generateFluidToken(config, element, metricsGenerator, fontProps, settings);
+        }
+        // Fluid steps are sampled at the config breakpoints too, so they carry the baseline unit changes
+        const breakpoints = element.fluid ? [] : resolveElementBreakpoints(config, element);
+        if (breakpoints.length === 0) {
+            return token;
+        }
+
+        token.breakpoints = {};
+        for (const { breakpoint, baselineUnit, element: breakpointElement } of breakpoints) {
+            const breakpointToken = this.generateElementToken(breakpointElement, metricsGenerator, fontProps, { ...settings, baselineUnit });
+            Object.keys(fontProps).forEach(key => delete breakpointToken[key]);
+            token.breakpoints[breakpoint] = breakpointToken;
+        }
+        return token;
+    }
+
+    /**
+     * Fluid font size of an element: the clamp() expression, the snapped line height
+     * and nudge at each sample viewport, and the widths where the interpolated size
+     * moves the baseline off the grid by the tolerance or more. The config breakpoints
+     * that change the baseline unit are sampled as well, and every step snaps to the
+     * baseline unit in effect at its width.
+     * @param {Object} config - Configuration with fluid settings
+     * @param {Object} element - Element with fluid.maxFontSize
+     * @param {BaselineNudgeGenerator} metricsGenerator - Generator holding the element's font metrics
+     * @param {Object} fontProps - Font properties (left out of the steps)
+     * @param {Object} settings - baselineUnit, rootFontSize, includePx, nudgeStrategy and algorithm
+     * @returns {Object} fontSize (clamp), minViewport, maxViewport, steps by viewport and offGrid ranges
+     */
+    generateFluidToken(config, element, metricsGenerator, fontProps, settings) {
+        const { baselineUnit, rootFontSize, nudgeStrategy } = settings;
+        const fluid = config.fluid;
+        const minFontSize = element.fontSize;
+        const maxFontSize = element.fluid.maxFontSize;
+        const isTrimmed = nudgeStrategy !== 'padding';
+        const align = element.align || 'baseline';
+        const lineHeightRatio = element.lineHeight === 'auto' ? null : element.lineHeight * baselineUnit / element.fontSize;
+        const lineHeightStep = Number.isInteger(element.lineHeight) ? 1 : 0.25;
+
+        // Position of the snapped line below the top of the box, for the step's line height and nudge
+        const alignedLineRem = (fontSize, lineHeight, nudgeTop, unit) => nudgeTop - metricsGenerator.calculateAlignmentHeightRem(fontSize, align) + (isTrimmed
+            ? metricsGenerator.calculateAlignmentHeightRem(fontSize, 'capHeight')
+            : metricsGenerator.calculateBaselineOffsetRem(fontSize, lineHeight, unit));
+
+        const breakpointWidths = Object.keys(config.breakpoints || {})
+            .filter(breakpoint => config.breakpoints[breakpoint].baselineUnit !== undefined)
+            .map(breakpointToPx)
+            .filter(width => width > fluid.minViewport);
+        const viewports = [...new Set([...getSampleViewports(fluid), ...breakpointWidths])].sort((a, b) => a - b);
+
+        const steps = viewports.map(viewport => {
+            const unit = getBreakpointBaselineUnit(config, `${viewport}px`);
+            const fontSize = interpolateFontSize(minFontSize, maxFontSize, fluid, viewport);
+            const lineHeight = lineHeightRatio === null
+                ? metricsGenerator.resolveLineHeight({ ...element, fontSize }, unit, rootFontSize, settings.algorithm)
+                : Math.max(lineHeightStep, Math.ceil(fontSize * lineHeightRatio / unit / lineHeightStep - 1e-9) * lineHeightStep);
+            const token = this.generateElementToken({ ...element, fontSize, lineHeight }, metricsGenerator, fontProps, { ...settings, baselineUnit: unit });
+            Object.keys(fontProps).forEach(key => delete token[key]);
+            return { viewport, unit, fontSize, lineHeight, token, position: alignedLineRem(fontSize, lineHeight, parseFloat(token.nudgeTop), unit) };
+        });
+
+        // Between samples the font size keeps growing while the line height and nudge stay put
+        const offsets = [];
+        for (let viewport = fluid.minViewport; viewport <= fluid.maxViewport; viewport++) {
+            const step = steps.filter(candidate => candidate.viewport <= viewport).pop();
+            const fontSize = interpolateFontSize(minFontSize, maxFontSize, fluid, viewport);
+            const position = alignedLineRem(fontSize, step.lineHeight, parseFloat(step.token.nudgeTop), step.unit);
+            offsets.push({ viewport, offsetPx: (position - step.position) * rootFontSize });
+        }
+
+        const token = {
+            fontSize: buildClamp(minFontSize, maxFontSize, fluid, rootFontSize),
+            minViewport: `${fluid.minViewport}px`,
+            maxViewport: `${fluid.maxViewport}px`,
+            steps: {},
+            offGrid: groupOffGridRanges(offsets, fluid.tolerance || DEFAULT_TOLERANCE_PX).map(range => ({
+                from: `${range.from}px`,
+                to: `${range.to}px`,
+                maxOffset: `${range.maxOffsetPx}px`
+            }))
+        };
+        steps.forEach(step => {
+            token.steps[`${step.viewport}px`] = step.token;
+        });
+        return token;
+    }
+
+    // List every breakpoint with its baseline unit at the top level of the tokens
+    addBreakpointTokens(tokens, config) {
+        const breakpoints = getConfigBreakpoints(config);
+        if (breakpoints.length === 0) {
+            return;
+        }
+        tokens.breakpoints = {};
+        for (const breakpoint of breakpoints) {
+            const baselineUnit = getBreakpointBaselineUnit(config, breakpoint);
+            tokens.breakpoints[breakpoint] = { baselineUnit: `${baselineUnit}rem` };
+            if (tokens.baselineUnitPx) {
+                tokens.breakpoints[breakpoint].baselineUnitPx = `${this.remToPx(baselineUnit, config.rootFontSize)}px`;
+            }
+        }
+    }
+
+    // Alignment mode and cap-height trim of an element (align option)
+    generateAlignmentValues(fontSizeRem, lineHeightRem, baselineUnitRem, nudgeTopRem, align, isTrimmed = false) {
+        const { trimTop, capGridOffset, baselineGridOffset } = this.calculateTrimRem(fontSizeRem, lineHeightRem, baselineUnitRem, nudgeTopRem, isTrimmed);
+        return {
+            align,
+            trimTop: `${trimTop}rem`,
+            capGridOffset: `${capGridOffset}rem`,
+            baselineGridOffset: `${baselineGridOffset}rem`
+        };
+    }
+
+    // Text-box trim amounts of an element and the margin that puts the next element back on the grid (trim strategies)
+    generateTextBoxTrimValues(fontSizeRem, lineHeightRem, baselineUnitRem, nudgeTopRem) {
+        const { capHeightTrim, baselineTrim, gridRemainder } = this.calculateTextBoxTrimRem(fontSizeRem, lineHeightRem, baselineUnitRem, nudgeTopRem);
+        return {
+            capHeightTrim: `${capHeightTrim}rem`,
+            baselineTrim: `${baselineTrim}rem`,
+            gridRemainder: `${gridRemainder}rem`
+        };
+    }
+
+    // Pixel equivalents of an element's rem values (px output mode)
+    generatePxValues(fontSizeRem, lineHeightRem, spaceAfterRem, nudgeTopRem, rootFontSize) {
+        return {
+            fontSizePx: `${this.remToPx(fontSizeRem, rootFontSize)}px`,
+            lineHeightPx: `${this.remToPx(lineHeightRem, rootFontSize)}px`,
+            spaceAfterPx: `${this.remToPx(spaceAfterRem, rootFontSize)}px`,
+            nudgeTopPx: `${this.remToPx(nudgeTopRem, rootFontSize)}px`
+        };
+    }
+
     // Generate baseline grid CSS
     generateBaselineGridCSS(baselineUnit) {
         return `
@@ -241,49 +929,469 @@ body {
 `;
     }
 
-    // Generate HTML example page
-    generateHTML(tokens, fontMetricsMap = null) {
-        const { baselineUnit, elements, font, fontFile, fontFiles } = tokens;
-        
-        // Determine if we're using the new multi-font format or legacy single-font format
-        const isMultiFont = fontFiles && fontMetricsMap;
-        
-        let styles = `
-<style>
+    /**
+     * Generate the CSS rules for one element with the chosen nudge strategy
+     * @param {string} selector - CSS selector of the element (e.g. .h1)
+     * @param {Object} props - Element token from generateTokens
+     * @param {string[]} fontDeclarations - font-family, font-weight and font-style declarations
+     * @param {string} nudgeStrategy - 'padding', 'trim' or 'pseudo-margin'
+     * @returns {string} CSS rules
+     */
+    generateElementCSS(selector, props, fontDeclarations, nudgeStrategy = 'padding') {
+        const fontLines = fontDeclarations.map(declaration => `  ${declaration}`).join('\n');
+        const marginBottom = this.getMarginBottomRem(props, nudgeStrategy);
+
+        if (nudgeStrategy === 'padding') {
+            return `
+${selector} {
+  font-size: ${props.fontSize};
+  line-height: ${props.lineHeight};
+${fontLines}
+  padding-top: ${props.nudgeTop};
+  margin-bottom: ${marginBottom}rem;
+  margin-top: 0;
+}
 `;
+        }
 
-        if (isMultiFont) {
+        let css = `
+${selector} {
+  font-size: ${props.fontSize};
+  line-height: ${props.lineHeight};
+${fontLines}
+`;
+        if (nudgeStrategy === 'trim') {
+            css += `  text-box: trim-both cap alphabetic;
+`;
+        }
+        css += `  padding-top: ${props.nudgeTop};
+  margin-bottom: ${marginBottom}rem;
+  margin-top: 0;
+}
+`;
+
+        if (nudgeStrategy === 'trim') {
+            // Browsers without text-box-trim get the capsize fallback
+            css += `
+@supports not (text-box: trim-both cap alphabetic) {
+${this.generatePseudoMarginCSS(selector, props).trim().replace(/^(?=.)/gm, '  ')}
+}
+`;
+        } else {
+            css += this.generatePseudoMarginCSS(selector, props);
+        }
+
+        return css;
+    }
+
+    // margin-bottom of an element in rem, so the nudge and the spacing add up to spaceAfter
+    getMarginBottomRem(props, nudgeStrategy = 'padding') {
+        const nudgeTopValue = parseFloat(props.nudgeTop);
+        const spaceAfterValue = parseFloat(props.spaceAfter);
+
+        if (nudgeStrategy === 'padding') {
+            // Special handling for spaceAfter = 0: change to 0.5rem
+            let adjustedSpaceAfter = spaceAfterValue;
+            if (spaceAfterValue === 0) {
+                adjustedSpaceAfter = 0.5;
+            }
+
+            // Calculate margin-bottom to ensure total spacing equals spaceAfter
+            // Total spacing = padding-top + margin-bottom = spaceAfter
+            return adjustedSpaceAfter - nudgeTopValue;
+        }
+
+        // Trimmed boxes end on the last baseline, so only the grid remainder is added to spaceAfter
+        return Math.round((spaceAfterValue + parseFloat(props.gridRemainder)) * 100000) / 100000;
+    }
+
+    /**
+     * Fluid type rules: a clamp() font size per element, and per sample viewport
+     * the line height, nudge and margin snapped for the font size at that width
+     * @param {Object} tokens - Generated tokens
+     * @param {Function} selectorFor - Maps an element identifier to its CSS selector
+     * @returns {string} CSS, empty when no element is fluid
+     */
+    generateFluidCSS(tokens, selectorFor = identifier => `.${identifier}`) {
+        const nudgeStrategy = tokens.nudgeStrategy || 'padding';
+        const fluidElements = Object.entries(tokens.elements).filter(([, props]) => props.fluid);
+        if (fluidElements.length === 0) {
+            return '';
+        }
+
+        const stepRules = (identifier, step, extra = '') => `
+${selectorFor(identifier)} {
+${extra}  line-height: ${step.lineHeight};
+  padding-top: ${step.nudgeTop};
+  margin-bottom: ${Math.round(this.getMarginBottomRem(step, nudgeStrategy) * 100000) / 100000}rem;
+}
+`;
+
+        // Every fluid element is sampled at the same viewports; the first one is the base rule
+        let css = '';
+        for (const [identifier, props] of fluidElements) {
+            const [first] = Object.values(props.fluid.steps);
+            css += stepRules(identifier, first, `  font-size: ${props.fluid.fontSize};\n`);
+        }
+
+        const viewports = Object.keys(fluidElements[0][1].fluid.steps).slice(1);
+        for (const viewport of viewports) {
+            const rules = fluidElements.map(([identifier, props]) => stepRules(identifier, props.fluid.steps[viewport])).join('');
+            css += `
+@media (min-width: ${viewport}) {
+${rules.trim().replace(/^(?=.)/gm, '  ')}
+}
+`;
+        }
+        return css;
+    }
+
+    /**
+     * @media (min-width) blocks with the grid and element rules of each breakpoint
+     * @param {Object} tokens - Generated tokens
+     * @param {Object} fontDeclarationsByElement - Font declarations of each element
+     * @param {Function} selectorFor - Maps an element identifier to its CSS selector
+     * @param {boolean} grid - Whether to resize the grid overlay at breakpoints
+     * @returns {string} CSS, empty when there are no breakpoints
+     */
+    generateBreakpointCSS(tokens, fontDeclarationsByElement, selectorFor = identifier => `.${identifier}`, grid = true) {
+        const nudgeStrategy = tokens.nudgeStrategy || 'padding';
+        let css = '';
+
+        for (const [breakpoint, { baselineUnit }] of Object.entries(tokens.breakpoints || {})) {
+            let rules = '';
+            if (grid && parseFloat(baselineUnit) !== parseFloat(tokens.baselineUnit)) {
+                rules += `
+.u-baseline-grid::after,
+body.u-baseline-grid::after {
+  background-size: 100% ${baselineUnit};
+}
+`;
+            }
+            for (const [identifier, props] of Object.entries(tokens.elements)) {
+                if (props.breakpoints && props.breakpoints[breakpoint]) {
+                    rules += this.generateElementCSS(selectorFor(identifier), { ...props, ...props.breakpoints[breakpoint] }, fontDeclarationsByElement[identifier], nudgeStrategy);
+                }
+            }
+            if (rules) {
+                css += `
+@media (min-width: ${breakpoint}) {
+${rules.trim().replace(/^(?=.)/gm, '  ')}
+}
+`;
+            }
+        }
+        return css;
+    }
+
+    // Negative-margin pseudo-elements that trim the line box to cap height and baseline (capsize technique)
+    generatePseudoMarginCSS(selector, props) {
+        return `
+${selector}::before {
+  content: "";
+  display: table;
+  margin-bottom: -${props.capHeightTrim};
+}
+
+${selector}::after {
+  content: "";
+  display: table;
+  margin-top: -${props.baselineTrim};
+}
+`;
+    }
+
+    /**
+     * @font-face rules for every font file (every face of multi-face families)
+     * @param {Object} tokens - Generated tokens
+     * @param {Object} fontMetricsMap - Font metrics by family (multi-font format)
+     * @param {string} fontUrl - URL pattern of the font files, {file} is replaced by the file name
+     * @returns {string} CSS
+     */
+    generateFontFaceCSS(tokens, fontMetricsMap = null, fontUrl = 'fonts/{file}') {
+        const { font, fontFile, fontFiles } = tokens;
+        const urlFor = file => fontUrl.replace(/\{file\}/g, path.basename(file));
+        let css = '';
+
+        if (fontFiles && fontMetricsMap) {
             // New format with multiple fonts
             for (const fontFile of fontFiles) {
-                const fontFileName = path.basename(fontFile.path);
                 const fontMetrics = fontMetricsMap[fontFile.family];
-                
-                styles += `
+                // The weight and style the face was resolved with, so the browser picks the same file for each element
+                const face = (fontMetrics.faces || []).find(candidate => candidate.path === fontFile.path) || fontMetrics;
+                const descriptors = this.getFontFaceDescriptors(face).map(descriptor => `  ${descriptor}\n`).join('');
+
+                css += `
 @font-face {
   font-family: '${fontMetrics.fontName}';
-  src: url('fonts/${fontFileName}') format('${this.getFontFormat(fontFile.path)}');
-}
+  src: url('${urlFor(fontFile.path)}') format('${this.getFontFormat(fontFile.path)}');
+${descriptors}}
 `;
             }
         } else {
-            // Legacy format with single font
-            const fontFileName = path.basename(fontFile);
-            styles += `
+            // Legacy format with single font; a variable font still declares its axis ranges
+            const face = fontMetricsMap && fontMetricsMap.default;
+            const descriptors = face && face.variationAxes && Object.keys(face.variationAxes).length > 0
+                ? this.getFontFaceDescriptors(face)
+                : ['font-weight: normal;', 'font-style: normal;'];
+            css += `
 @font-face {
   font-family: '${font}';
-  src: url('fonts/${fontFileName}') format('${this.getFontFormat(fontFile)}');
-  font-weight: normal;
-  font-style: normal;
+  src: url('${urlFor(fontFile)}') format('${this.getFontFormat(fontFile)}');
+${descriptors.map(descriptor => `  ${descriptor}\n`).join('')}}
+`;
+        }
+        return css;
+    }
+
+    /**
+     * @font-face descriptors that make the browser pick a face for the same weights and
+     * styles the generator resolves it for. Free wght, wdth and slnt axes are declared as
+     * ranges, so the browser varies the font instead of synthesizing bold or oblique.
+     * An ital axis cannot be a range in CSS; the face keeps its resolved style.
+     * @param {Object} face - Face from fontMetricsMap, with weight, weightRange, style, variationAxes and variation
+     * @returns {string[]} Declarations
+     */
+    getFontFaceDescriptors(face) {
+        const axes = face.variationAxes || {};
+        const pinned = face.variation || {};
+        const isFree = tag => axes[tag] && pinned[tag] === undefined;
+        const declarations = [];
+
+        const weightRange = face.weightRange || (isFree('wght') ? [axes.wght.min, axes.wght.max] : null);
+        if (weightRange) {
+            declarations.push(`font-weight: ${weightRange[0]} ${weightRange[1]};`);
+        } else {
+            declarations.push(`font-weight: ${face.weight || face.fontWeight || 400};`);
+        }
+
+        if (isFree('wdth')) {
+            declarations.push(`font-stretch: ${axes.wdth.min}% ${axes.wdth.max}%;`);
+        }
+
+        // slnt runs counter-clockwise, CSS oblique angles clockwise
+        if (isFree('slnt') && face.style !== 'italic') {
+            declarations.push(`font-style: oblique ${-axes.slnt.max}deg ${-axes.slnt.min}deg;`);
+        } else {
+            declarations.push(`font-style: ${face.style || face.fontStyle || 'normal'};`);
+        }
+        return declarations;
+    }
+
+    // font-family, font-weight, font-style and variation declarations of an element
+    getFontDeclarations(props, fontMetricsMap, isMultiFont) {
+        if (!isMultiFont) {
+            // Legacy format
+            return [`font-weight: ${props.fontWeight};`];
+        }
+
+        // New format with font family, weight, and style
+        const fontFamily = props.fontFamily || 'sans';
+        const fontWeight = props.fontWeight || 400;
+        const fontStyle = props.fontStyle || 'normal';
+        const fontMetrics = fontMetricsMap[fontFamily];
+
+        const fontDeclarations = [
+            `font-family: '${fontMetrics.fontName}', sans-serif;`,
+            `font-weight: ${fontWeight};`,
+            `font-style: ${fontStyle};`
+        ];
+        if (props.variation) {
+            // Render the same instance the nudge was calculated for
+            const settings = Object.entries(props.variation).map(([tag, value]) => `'${tag}' ${value}`).join(', ');
+            fontDeclarations.push(`font-variation-settings: ${settings};`);
+        }
+        return fontDeclarations;
+    }
+
+    /**
+     * CSS selector of an element for the chosen selector mode
+     * @param {string} identifier - Element identifier
+     * @param {Object} options - selector ('class', 'element' or 'attribute') and attribute name
+     * @returns {string} Selector such as .h1, h1 or [data-typography="h1"]
+     */
+    getElementSelector(identifier, options = {}) {
+        switch (options.selector) {
+        case 'element':
+            return identifier;
+        case 'attribute':
+            return `[${options.attribute || 'data-typography'}="${identifier}"]`;
+        default:
+            return `.${identifier}`;
+        }
+    }
+
+    /**
+     * Standalone typography stylesheet: @font-face rules, the element rules with
+     * their nudges (including breakpoints and fluid steps) and the grid overlay utility
+     * @param {Object} tokens - Generated tokens
+     * @param {Object} fontMetricsMap - Font metrics by family (multi-font format)
+     * @param {Object} options - Output options (config.css)
+     * @param {string} options.selector - 'class' (default), 'element' or 'attribute'
+     * @param {string} options.attribute - Attribute name for the attribute selector (default data-typography)
+     * @param {string} options.fontUrl - Font URL pattern, {file} is replaced by the file name (default fonts/{file})
+     * @param {boolean} options.grid - Include the .u-baseline-grid overlay utility (default true)
+     * @returns {string} CSS
+     */
+    generateTypographyCSS(tokens, fontMetricsMap = null, options = {}) {
+        const isMultiFont = tokens.fontFiles && fontMetricsMap;
+        const nudgeStrategy = tokens.nudgeStrategy || 'padding';
+        const selectorFor = identifier => this.getElementSelector(identifier, options);
+        const fontDeclarationsByElement = {};
+
+        let css = `/* AUTO-GENERATED FILE. DO NOT EDIT DIRECTLY. */
+/* Generated by @lyubomir-popov/baseline-nudge-generator */
+`;
+        css += this.generateFontFaceCSS(tokens, fontMetricsMap, options.fontUrl || 'fonts/{file}');
+
+        // rem values are calculated for this root size
+        const rootFontSize = parseFloat(tokens.rootFontSize) || DEFAULT_ROOT_FONT_SIZE;
+        if (rootFontSize !== DEFAULT_ROOT_FONT_SIZE) {
+            css += `
+html {
+  font-size: ${rootFontSize}px;
 }
 `;
         }
 
+        // Grid overlay utility; the breakpoint rules that resize it must come after it
+        if (options.grid !== false) {
+            css += this.generateBaselineGridCSS(parseFloat(tokens.baselineUnit));
+        }
+
+        for (const [identifier, props] of Object.entries(tokens.elements)) {
+            const fontDeclarations = this.getFontDeclarations(props, fontMetricsMap, isMultiFont);
+            // Without the demo page body rule the legacy single font has to be named on each element
+            fontDeclarationsByElement[identifier] = isMultiFont ? fontDeclarations : [`font-family: '${tokens.font}', sans-serif;`, ...fontDeclarations];
+            css += this.generateElementCSS(selectorFor(identifier), props, fontDeclarationsByElement[identifier], nudgeStrategy);
+        }
+
+        css += this.generateBreakpointCSS(tokens, fontDeclarationsByElement, selectorFor, options.grid !== false);
+        css += this.generateFluidCSS(tokens, selectorFor);
+        return css;
+    }
+
+    /**
+     * Name of a custom property from the naming pattern
+     * @param {string} identifier - Element identifier
+     * @param {string} property - Property name in kebab case (font-size, line-height, nudge, space-after)
+     * @param {Object} options - prefix and namePattern ({prefix}, {element} and {property} placeholders)
+     * @returns {string} Custom property name such as --type-h1-font-size
+     */
+    getCustomPropertyName(identifier, property, options = {}) {
+        const prefix = options.prefix !== undefined ? options.prefix : 'type';
+        const name = (options.namePattern || '{prefix}-{element}-{property}')
+            .replace(/\{prefix\}/g, prefix)
+            .replace(/\{element\}/g, identifier)
+            .replace(/\{property\}/g, property)
+            // An empty prefix must not leave stray dashes
+            .replace(/-{2,}/g, '-')
+            .replace(/^-|-$/g, '');
+        return `--${name}`;
+    }
+
+    /**
+     * CSS custom properties of every element and the baseline unit, with
+     * breakpoint and fluid values redefined in @media (min-width) blocks
+     * @param {Object} tokens - Generated tokens
+     * @param {Object} options - Output options (config.customProperties)
+     * @param {string} options.prefix - Name prefix (default type)
+     * @param {string} options.namePattern - Name pattern (default {prefix}-{element}-{property})
+     * @param {boolean} options.calc - Express line heights and spacing as calc() on --baseline-unit
+     * @returns {string} CSS
+     */
+    generateCustomPropertiesCSS(tokens, options = {}) {
+        const round = value => Math.round(value * 10000) / 10000;
+        const baselineUnit = parseFloat(tokens.baselineUnit);
+
+        // Line heights and spacing are whole (or fractional) baseline units; with calc()
+        // they follow --baseline-unit, the nudge depends on the font metrics and stays fixed
+        const inUnits = (value, unit) => (options.calc
+            ? `calc(var(--baseline-unit) * ${round(parseFloat(value) / unit)})`
+            : value);
+        const declarations = (identifier, props, unit) => [
+            props.fontSize !== undefined ? ['font-size', props.fontSize] : null,
+            ['line-height', inUnits(props.lineHeight, unit)],
+            ['nudge', props.nudgeTop],
+            ['space-after', inUnits(props.spaceAfter, unit)]
+        ].filter(Boolean).map(([property, value]) => `  ${this.getCustomPropertyName(identifier, property, options)}: ${value};`);
+
+        // Collect the redefinitions of each min-width so they share one @media block
+        const mediaBlocks = new Map();
+        const addToMedia = (width, lines) => {
+            mediaBlocks.set(width, [...(mediaBlocks.get(width) || []), ...lines]);
+        };
+
+        // Baseline unit in effect at a min-width: that of the widest breakpoint up to it
+        const unitAt = width => sortBreakpoints(Object.keys(tokens.breakpoints || {}))
+            .filter(breakpoint => breakpointToPx(breakpoint) <= breakpointToPx(width))
+            .reduce((unit, breakpoint) => parseFloat(tokens.breakpoints[breakpoint].baselineUnit), baselineUnit);
+
+        const rootLines = [`  --baseline-unit: ${tokens.baselineUnit};`];
+        for (const [breakpoint, props] of Object.entries(tokens.breakpoints || {})) {
+            if (parseFloat(props.baselineUnit) !== baselineUnit) {
+                addToMedia(breakpoint, [`  --baseline-unit: ${props.baselineUnit};`]);
+            }
+        }
+
+        for (const [identifier, props] of Object.entries(tokens.elements)) {
+            if (props.fluid) {
+                const [first, ...steps] = Object.entries(props.fluid.steps);
+                rootLines.push(...declarations(identifier, { ...first[1], fontSize: props.fluid.fontSize }, unitAt(first[0])));
+                steps.forEach(([viewport, step]) => addToMedia(viewport, declarations(identifier, { ...step, fontSize: undefined }, unitAt(viewport))));
+                continue;
+            }
+            rootLines.push(...declarations(identifier, props, baselineUnit));
+            for (const [breakpoint, values] of Object.entries(props.breakpoints || {})) {
+                const unit = parseFloat(tokens.breakpoints[breakpoint].baselineUnit);
+                addToMedia(breakpoint, declarations(identifier, values, unit));
+            }
+        }
+
+        let css = `/* AUTO-GENERATED FILE. DO NOT EDIT DIRECTLY. */
+/* Generated by @lyubomir-popov/baseline-nudge-generator */
+
+:root {
+${rootLines.join('\n')}
+}
+`;
+        const widths = sortBreakpoints([...mediaBlocks.keys()]);
+        for (const width of widths) {
+            css += `
+@media (min-width: ${width}) {
+  :root {
+${mediaBlocks.get(width).map(line => `  ${line}`).join('\n')}
+  }
+}
+`;
+        }
+        return css;
+    }
+
+    // Generate HTML example page
+    generateHTML(tokens, fontMetricsMap = null) {
+        const { baselineUnit, elements, font, fontFiles } = tokens;
+        const rootFontSize = parseFloat(tokens.rootFontSize) || DEFAULT_ROOT_FONT_SIZE;
+        
+        // Determine if we're using the new multi-font format or legacy single-font format
+        const isMultiFont = fontFiles && fontMetricsMap;
+        
+        let styles = `
+<style>
+`;
+
+        styles += this.generateFontFaceCSS(tokens, fontMetricsMap);
+
         // Default body styles
         const defaultFontFamily = isMultiFont ? 
             (fontMetricsMap['sans'] ? fontMetricsMap['sans'].fontName : Object.values(fontMetricsMap)[0].fontName) : 
             font;
         
         styles += `
+html {
+  font-size: ${rootFontSize}px;
+}
+
 body {
   font-family: '${defaultFontFamily}', sans-serif;
   font-weight: 400;
@@ -312,55 +1420,18 @@ body.u-baseline-grid::after {
 }
 `;
 
-        for (const [identifier, props] of Object.entries(elements)) {
-            const nudgeTopValue = parseFloat(props.nudgeTop);
-            const spaceAfterValue = parseFloat(props.spaceAfter);
-            let marginBottom;
-            
-            // Special handling for spaceAfter = 0: change to 0.5rem
-            let adjustedSpaceAfter = spaceAfterValue;
-            if (spaceAfterValue === 0) {
-                adjustedSpaceAfter = 0.5;
-            }
-            
-            // Calculate margin-bottom to ensure total spacing equals spaceAfter
-            // Total spacing = padding-top + margin-bottom = spaceAfter
-            marginBottom = adjustedSpaceAfter - nudgeTopValue;
+        const nudgeStrategy = tokens.nudgeStrategy || 'padding';
+        const fontDeclarationsByElement = {};
 
-            if (isMultiFont) {
-                // New format with font family, weight, and style
-                const fontFamily = props.fontFamily || 'sans';
-                const fontWeight = props.fontWeight || 400;
-                const fontStyle = props.fontStyle || 'normal';
-                const fontMetrics = fontMetricsMap[fontFamily];
-                
-                styles += `
-.${identifier} {
-  font-size: ${props.fontSize};
-  line-height: ${props.lineHeight};
-  font-family: '${fontMetrics.fontName}', sans-serif;
-  font-weight: ${fontWeight};
-  font-style: ${fontStyle};
-  padding-top: ${props.nudgeTop};
-  margin-bottom: ${marginBottom}rem;
-  margin-top: 0;
-}
-`;
-            } else {
-                // Legacy format
-                styles += `
-.${identifier} {
-  font-size: ${props.fontSize};
-  line-height: ${props.lineHeight};
-  font-weight: ${props.fontWeight};
-  padding-top: ${props.nudgeTop};
-  margin-bottom: ${marginBottom}rem;
-  margin-top: 0;
-}
-`;
-            }
+        for (const [identifier, props] of Object.entries(elements)) {
+            const fontDeclarations = this.getFontDeclarations(props, fontMetricsMap, isMultiFont);
+            fontDeclarationsByElement[identifier] = fontDeclarations;
+            styles += this.generateElementCSS(`.${identifier}`, props, fontDeclarations, nudgeStrategy);
         }
 
+        styles += this.generateBreakpointCSS(tokens, fontDeclarationsByElement);
+        styles += this.generateFluidCSS(tokens);
+
         styles += `
 </style>
 `;
@@ -407,28 +1478,656 @@ body.u-baseline-grid::after {
         return htmlContent;
     }
 
-    // Generate files from new input format
-    async generateFiles(inputPath, outputDir = 'dist') {
-        // Validate configuration first
-        const validation = validateConfigFile(inputPath);
-        if (!validation.isValid) {
-            throw new ConfigurationError(
-                `Configuration validation failed:\n${validation.errors.join('\n')}`,
-                inputPath
+    /**
+     * Resolve the fallback fonts configured for each family to their metrics
+     * @param {Object|Array} fallbacks - config.fallbacks: family -> list, or one list for every family
+     * @param {Object} fontMetricsMap - Font metrics by family
+     * @param {string} inputPath - Config file path; local fallback font files are relative to it
+     * @returns {Promise<Object>} Family -> [{ name, metrics }]
+     */
+    async resolveFallbackMetrics(fallbacks, fontMetricsMap, inputPath) {
+        const inputDir = path.dirname(inputPath);
+        const fallbackMetricsMap = {};
+        for (const family of Object.keys(fontMetricsMap)) {
+            const entries = Array.isArray(fallbacks) ? fallbacks : (fallbacks[family] || []);
+            fallbackMetricsMap[family] = [];
+
+            for (const entry of entries) {
+                if (typeof entry === 'string') {
+                    const builtIn = getBuiltInFallback(entry);
+                    if (!builtIn) {
+                        throw new ConfigurationError(`Unknown fallback font "${entry}". Give a local font file with { "name", "path" } instead.`, inputPath);
+                    }
+                    fallbackMetricsMap[family].push({ name: builtIn.name, metrics: builtIn });
+                    continue;
+                }
+
+                const fontPath = this.findFontFile(inputDir, entry.path);
+                if (!fontPath) {
+                    throw new FontFileError(`Fallback font file not found: ${entry.path}`, entry.path);
+                }
+                try {
+                    const metrics = await this.readFontMetrics(fontPath);
+                    fallbackMetricsMap[family].push({ name: entry.name, metrics });
+                } catch (error) {
+                    throw new FontMetricsError(`Failed to read fallback font metrics for ${entry.name}: ${error.message}`, fontPath);
+                }
+            }
+        }
+        return fallbackMetricsMap;
+    }
+
+    /**
+     * Generate @font-face rules that override the metrics of local fallback fonts
+     * so they keep the web font's baseline grid while it loads
+     * @param {Object} fontMetricsMap - Font metrics by family
+     * @param {Object} fallbackMetricsMap - Fallbacks by family, from resolveFallbackMetrics
+     * @returns {string} CSS
+     */
+    generateFallbackCSS(fontMetricsMap, fallbackMetricsMap) {
+        let css = `/* AUTO-GENERATED FILE. DO NOT EDIT DIRECTLY. */
+/* Generated by @lyubomir-popov/baseline-nudge-generator */
+`;
+
+        for (const [family, fallbacks] of Object.entries(fallbackMetricsMap)) {
+            if (fallbacks.length === 0) {
+                continue;
+            }
+            const webMetrics = fontMetricsMap[family];
+            const fallbackFamilies = [];
+
+            for (const { name, metrics } of fallbacks) {
+                const overrides = calculateFallbackOverrides(webMetrics, metrics);
+                const fallbackFamily = `${webMetrics.fontName} ${name} Fallback`;
+                fallbackFamilies.push(`'${fallbackFamily}'`);
+
+                css += `
+@font-face {
+  font-family: '${fallbackFamily}';
+  src: local('${name}');
+  size-adjust: ${overrides.sizeAdjust}%;
+  ascent-override: ${overrides.ascentOverride}%;
+  descent-override: ${overrides.descentOverride}%;
+  line-gap-override: ${overrides.lineGapOverride}%;
+}
+`;
+            }
+
+            const category = fallbacks.map(({ metrics }) => metrics.category).find(Boolean) || 'sans-serif';
+            css += `
+/* ${family}: font-family: '${webMetrics.fontName}', ${fallbackFamilies.join(', ')}, ${category}; */
+`;
+        }
+
+        return css;
+    }
+
+    // Font metrics an element token was calculated with (face and variable instance)
+    getTokenMetrics(props, tokens, fontMetricsMap) {
+        return this.getElementMetricsGenerator(props, tokens, fontMetricsMap).fontMetrics;
+    }
+
+    // One-line summary of font metrics for token descriptions
+    describeFontMetrics(metrics) {
+        const name = metrics.fontName ? `${metrics.fontName} ` : '';
+        return `${name}metrics: ascent ${metrics.ascent}, descent ${metrics.descent}, line gap ${metrics.lineGap}, ` +
+            `cap height ${Math.round(metrics.capHeight)}, x-height ${Math.round(metrics.xHeight)}, ` +
+            `${metrics.unitsPerEm} units per em (${metrics.metricsSource || 'hhea'})`;
+    }
+
+    /**
+     * Tokens in the Design Tokens Community Group format: dimension tokens for the
+     * baseline unit and every size, nudge and spacing, fontFamily and fontWeight
+     * tokens, and a composite typography token per element. DTCG dimensions cannot
+     * hold a clamp(), so fluid font sizes are their minimum, with the clamp() under
+     * $extensions['com.baseline-nudges'].fluid.
+     * @param {Object} tokens - Generated tokens
+     * @param {Object} fontMetricsMap - Font metrics by family ('default' for the legacy fontFile)
+     * @returns {Object} DTCG token tree
+     */
+    generateDTCGTokens(tokens, fontMetricsMap) {
+        const dimension = (value, description) => {
+            const [, number, unit] = String(value).match(/^(-?[\d.]+)([a-z%]+)$/);
+            const token = { $type: 'dimension', $value: { value: parseFloat(number), unit } };
+            if (description) {
+                token.$description = description;
+            }
+            return token;
+        };
+        // Token names cannot contain dots, as in "37.5em" breakpoints
+        const tokenName = name => name.replace(/\./g, '_');
+
+        const isMultiFont = Boolean(tokens.fontFiles);
+        const families = {};
+        for (const [family, metrics] of Object.entries(fontMetricsMap)) {
+            families[family] = {
+                $type: 'fontFamily',
+                $value: [isMultiFont ? metrics.fontName : tokens.font, 'sans-serif'],
+                $description: this.describeFontMetrics(metrics)
+            };
+        }
+
+        const boxTokens = props => ({
+            fontSize: dimension(props.fontSize),
+            lineHeight: dimension(props.lineHeight),
+            nudge: dimension(props.nudgeTop, 'padding-top that moves the first baseline onto the grid'),
+            spaceAfter: dimension(props.spaceAfter)
+        });
+
+        const type = {};
+        for (const [identifier, props] of Object.entries(tokens.elements)) {
+            const name = tokenName(identifier);
+            const family = isMultiFont ? props.fontFamily || 'sans' : 'default';
+            const metricsDescription = `Nudge calculated with ${this.describeFontMetrics(this.getTokenMetrics(props, tokens, fontMetricsMap))}`;
+
+            const group = {
+                $description: metricsDescription,
+                fontFamily: { $type: 'fontFamily', $value: `{font.family.${family}}` },
+                fontWeight: { $type: 'fontWeight', $value: props.fontWeight || 400 },
+                ...boxTokens(props),
+                style: {
+                    $type: 'typography',
+                    $value: {
+                        fontFamily: `{font.family.${family}}`,
+                        fontSize: `{type.${name}.fontSize}`,
+                        fontWeight: `{type.${name}.fontWeight}`,
+                        letterSpacing: { value: 0, unit: 'px' },
+                        lineHeight: Math.round(parseFloat(props.lineHeight) / parseFloat(props.fontSize) * 100000) / 100000
+                    },
+                    $description: metricsDescription
+                }
+            };
+
+            // Values per min-width: breakpoints, or the sample widths of fluid elements after the first
+            const steps = props.fluid ? Object.entries(props.fluid.steps).slice(1) : Object.entries(props.breakpoints || {});
+            if (steps.length > 0) {
+                group.breakpoints = {};
+                for (const [width, values] of steps) {
+                    group.breakpoints[tokenName(width)] = {
+                        $description: `min-width: ${width}`,
+                        ...boxTokens({ ...props, ...values })
+                    };
+                }
+            }
+            if (props.fluid) {
+                group.fontSize.$description = 'Font size at fluid.minViewport; the fluid clamp() is under $extensions';
+                group.fontSize.$extensions = { 'com.baseline-nudges': { fluid: props.fluid.fontSize } };
+            }
+            type[name] = group;
+        }
+
+        const baseline = { unit: dimension(tokens.baselineUnit, 'Baseline grid unit') };
+        for (const [breakpoint, { baselineUnit }] of Object.entries(tokens.breakpoints || {})) {
+            if (baselineUnit !== tokens.baselineUnit) {
+                baseline[`unit-${tokenName(breakpoint)}`] = dimension(baselineUnit, `Baseline grid unit from min-width: ${breakpoint}`);
+            }
+        }
+        baseline.rootFontSize = dimension(tokens.rootFontSize, 'Root font size the rem values are calculated for');
+
+        return {
+            $description: 'Baseline grid typography generated by @lyubomir-popov/baseline-nudge-generator',
+            baseline,
+            font: { family: families },
+            type
+        };
+    }
+
+    /**
+     * Style Dictionary source tokens: sizes in rem (size.font, size.lineHeight,
+     * size.nudge, size.spaceAfter, size.marginBottom) and font family, weight and
+     * style per element. Tokens carry element, property and breakpoint keys for the
+     * formats in style-dictionary.js.
+     * @param {Object} tokens - Generated tokens
+     * @param {Object} fontMetricsMap - Font metrics by family ('default' for the legacy fontFile)
+     * @returns {Object} Style Dictionary token tree
+     */
+    generateStyleDictionaryTokens(tokens, fontMetricsMap) {
+        const nudgeStrategy = tokens.nudgeStrategy || 'padding';
+        const isMultiFont = Boolean(tokens.fontFiles);
+        const size = { baseline: {}, font: {}, lineHeight: {}, nudge: {}, spaceAfter: {}, marginBottom: {} };
+        const font = { family: {}, weight: {}, style: {} };
+
+        const sizeToken = (value, type, keys, comment) => {
+            const token = { value: parseFloat(value), type, ...keys };
+            if (comment) {
+                token.comment = comment;
+            }
+            return token;
+        };
+        const addSizes = (name, props, keys) => {
+            size.font[name] = sizeToken(props.fontSize, 'fontSize', { ...keys, property: 'fontSize' });
+            size.lineHeight[name] = sizeToken(props.lineHeight, 'dimension', { ...keys, property: 'lineHeight' });
+            size.nudge[name] = sizeToken(props.nudgeTop, 'dimension', { ...keys, property: 'nudge' }, 'padding-top that moves the first baseline onto the grid');
+            size.spaceAfter[name] = sizeToken(props.spaceAfter, 'dimension', { ...keys, property: 'spaceAfter' });
+            size.marginBottom[name] = sizeToken(
+                Math.round(this.getMarginBottomRem(props, nudgeStrategy) * 100000) / 100000,
+                'dimension',
+                { ...keys, property: 'marginBottom' },
+                'spaceAfter minus the nudge'
             );
+        };
+
+        size.baseline.unit = sizeToken(tokens.baselineUnit, 'dimension', { property: 'baselineUnit' }, 'Baseline grid unit');
+        for (const [breakpoint, { baselineUnit }] of Object.entries(tokens.breakpoints || {})) {
+            if (baselineUnit !== tokens.baselineUnit) {
+                size.baseline[`unit-${breakpoint}`] = sizeToken(baselineUnit, 'dimension', { property: 'baselineUnit', breakpoint }, `Baseline grid unit from min-width: ${breakpoint}`);
+            }
         }
 
-        // Show warnings if any
-        if (validation.warnings.length > 0) {
-            console.warn('⚠️  Configuration warnings:');
-            validation.warnings.forEach(warning => console.warn(`   ${warning}`));
+        for (const [identifier, props] of Object.entries(tokens.elements)) {
+            const metrics = this.getTokenMetrics(props, tokens, fontMetricsMap);
+            const keys = { element: identifier };
+            font.family[identifier] = {
+                value: isMultiFont ? fontMetricsMap[props.fontFamily || 'sans'].fontName : tokens.font,
+                type: 'fontFamily',
+                ...keys,
+                property: 'fontFamily',
+                comment: `Nudge calculated with ${this.describeFontMetrics(metrics)}`
+            };
+            font.weight[identifier] = { value: props.fontWeight || 400, type: 'fontWeight', ...keys, property: 'fontWeight' };
+            font.style[identifier] = { value: props.fontStyle || 'normal', type: 'fontStyle', ...keys, property: 'fontStyle' };
+            addSizes(identifier, props, keys);
+
+            // Values per min-width: breakpoints, or the sample widths of fluid elements after the first
+            const steps = props.fluid ? Object.entries(props.fluid.steps).slice(1) : Object.entries(props.breakpoints || {});
+            for (const [width, values] of steps) {
+                addSizes(`${identifier}-${width}`, { ...props, ...values }, { element: identifier, breakpoint: width });
+            }
         }
 
-        if (!fs.existsSync(inputPath)) {
-            throw new ConfigurationError(`Input file not found: ${inputPath}`, inputPath);
+        return { size, font };
+    }
+
+    /**
+     * Tailwind CSS preset (CommonJS): a fontSize entry with line height per element,
+     * spacing in baseline units on --baseline-unit, and a plugin adding the nudge
+     * padding-top and margin-bottom (with breakpoint and fluid steps) to .text-{identifier}
+     * @param {Object} tokens - Generated tokens
+     * @param {Object} fontMetricsMap - Font metrics by family ('default' for the legacy fontFile)
+     * @returns {string} JavaScript module
+     */
+    generateTailwindPreset(tokens, fontMetricsMap) {
+        const nudgeStrategy = tokens.nudgeStrategy || 'padding';
+        const isMultiFont = Boolean(tokens.fontFiles);
+        const baselineUnit = parseFloat(tokens.baselineUnit);
+        const marginBottom = props => `${Math.round(this.getMarginBottomRem(props, nudgeStrategy) * 100000) / 100000}rem`;
+        const stepStyles = props => ({
+            lineHeight: props.lineHeight,
+            paddingTop: props.nudgeTop,
+            marginBottom: marginBottom(props)
+        });
+
+        const fontSize = {};
+        const utilities = {};
+        let maxUnits = 12;
+        for (const [identifier, props] of Object.entries(tokens.elements)) {
+            fontSize[identifier] = [props.fluid ? props.fluid.fontSize : props.fontSize, { lineHeight: props.lineHeight }];
+            maxUnits = Math.max(maxUnits, Math.ceil(parseFloat(props.lineHeight) / baselineUnit), Math.ceil(parseFloat(props.spaceAfter) / baselineUnit));
+
+            const fontName = isMultiFont ? fontMetricsMap[props.fontFamily || 'sans'].fontName : tokens.font;
+            const utility = {
+                fontFamily: `'${fontName}', sans-serif`,
+                fontWeight: String(props.fontWeight || 400),
+                fontStyle: props.fontStyle || 'normal',
+                ...stepStyles(props),
+                marginTop: '0'
+            };
+            if (props.variation) {
+                utility.fontVariationSettings = Object.entries(props.variation).map(([tag, value]) => `'${tag}' ${value}`).join(', ');
+            }
+
+            if (nudgeStrategy !== 'padding') {
+                const pseudoMargins = {
+                    '&::before': { content: '""', display: 'table', marginBottom: `-${props.capHeightTrim}` },
+                    '&::after': { content: '""', display: 'table', marginTop: `-${props.baselineTrim}` }
+                };
+                if (nudgeStrategy === 'trim') {
+                    utility.textBox = 'trim-both cap alphabetic';
+                    utility['@supports not (text-box: trim-both cap alphabetic)'] = pseudoMargins;
+                } else {
+                    Object.assign(utility, pseudoMargins);
+                }
+            }
+
+            // Breakpoint values, or the sample widths of fluid elements after the first
+            const steps = props.fluid ? Object.entries(props.fluid.steps).slice(1) : Object.entries(props.breakpoints || {});
+            for (const [width, values] of steps) {
+                const step = { ...props, ...values };
+                utility[`@media (min-width: ${width})`] = props.fluid ? stepStyles(step) : { fontSize: step.fontSize, ...stepStyles(step) };
+            }
+            utilities[`.text-${identifier}`] = utility;
+        }
+
+        // Spacing follows --baseline-unit, which breakpoints may change
+        const spacing = { baseline: 'var(--baseline-unit)' };
+        for (let units = 1; units <= maxUnits; units++) {
+            spacing[`baseline-${units}`] = `calc(var(--baseline-unit) * ${units})`;
+        }
+        const base = { ':root': { '--baseline-unit': tokens.baselineUnit } };
+        for (const [breakpoint, props] of Object.entries(tokens.breakpoints || {})) {
+            if (props.baselineUnit !== tokens.baselineUnit) {
+                base[`@media (min-width: ${breakpoint})`] = { ':root': { '--baseline-unit': props.baselineUnit } };
+            }
+        }
+
+        const theme = { extend: { fontSize, spacing } };
+        if (isMultiFont) {
+            theme.extend.fontFamily = Object.fromEntries(Object.entries(fontMetricsMap).map(([family, metrics]) => [family, [metrics.fontName, 'sans-serif']]));
+        }
+        const indent = (value, depth) => JSON.stringify(value, null, 2).replace(/\n/g, `\n${' '.repeat(depth)}`);
+
+        return `// AUTO-GENERATED FILE. DO NOT EDIT DIRECTLY.
+// Generated by @lyubomir-popov/baseline-nudge-generator
+// Tailwind CSS preset: module.exports = { presets: [require('./tailwind.preset.js')] }
+const plugin = require('tailwindcss/plugin');
+
+const base = ${indent(base, 0)};
+
+// text-{identifier}: the nudge and margin-bottom that keep the element on the baseline grid
+const utilities = ${indent(utilities, 0)};
+
+module.exports = {
+  theme: ${indent(theme, 2)},
+  plugins: [
+    plugin(({ addBase, addUtilities }) => {
+      addBase(base);
+      addUtilities(utilities);
+    })
+  ]
+};
+`;
+    }
+
+    /**
+     * Values of the typed token module: sizes as rem numbers next to a css object
+     * of strings, per element and per breakpoint or fluid step
+     * @param {Object} tokens - Generated tokens
+     * @param {Object} fontMetricsMap - Font metrics by family ('default' for the legacy fontFile)
+     * @returns {Object} elements, fontMetrics and the element and family names
+     */
+    getTokenModuleData(tokens, fontMetricsMap) {
+        const nudgeStrategy = tokens.nudgeStrategy || 'padding';
+        const isMultiFont = Boolean(tokens.fontFiles);
+        const gridValues = props => ({
+            fontSize: parseFloat(props.fontSize),
+            lineHeight: parseFloat(props.lineHeight),
+            nudgeTop: parseFloat(props.nudgeTop),
+            spaceAfter: parseFloat(props.spaceAfter),
+            marginBottom: Math.round(this.getMarginBottomRem(props, nudgeStrategy) * 100000) / 100000
+        });
+        const gridCss = (values, fontSizeCss) => ({
+            fontSize: fontSizeCss || `${values.fontSize}rem`,
+            lineHeight: `${values.lineHeight}rem`,
+            paddingTop: `${values.nudgeTop}rem`,
+            marginBottom: `${values.marginBottom}rem`
+        });
+
+        const elements = {};
+        for (const [identifier, props] of Object.entries(tokens.elements)) {
+            const family = isMultiFont ? props.fontFamily || 'sans' : 'default';
+            const values = gridValues(props);
+            const css = {
+                fontFamily: `'${fontMetricsMap[family].fontName || tokens.font}', sans-serif`,
+                fontWeight: props.fontWeight || 400,
+                fontStyle: props.fontStyle || 'normal',
+                ...gridCss(values, props.fluid && props.fluid.fontSize),
+                marginTop: '0'
+            };
+            if (props.variation) {
+                css.fontVariationSettings = Object.entries(props.variation).map(([tag, value]) => `'${tag}' ${value}`).join(', ');
+            }
+
+            // Breakpoint values, or the sample widths of fluid elements after the first
+            const breakpoints = {};
+            const steps = props.fluid ? Object.entries(props.fluid.steps).slice(1) : Object.entries(props.breakpoints || {});
+            for (const [width, stepProps] of steps) {
+                const stepValues = gridValues({ ...props, ...stepProps });
+                const stepCss = gridCss(stepValues);
+                if (props.fluid) {
+                    delete stepCss.fontSize; // the clamp() keeps growing between steps
+                }
+                breakpoints[width] = { ...stepValues, css: stepCss };
+            }
+
+            elements[identifier] = {
+                fontFamily: family,
+                fontWeight: props.fontWeight || 400,
+                fontStyle: props.fontStyle || 'normal',
+                ...values,
+                css,
+                breakpoints
+            };
+        }
+
+        const fontMetrics = {};
+        for (const [family, metrics] of Object.entries(fontMetricsMap)) {
+            fontMetrics[family] = {
+                fontName: metrics.fontName || tokens.font,
+                unitsPerEm: metrics.unitsPerEm,
+                ascent: metrics.ascent,
+                descent: metrics.descent,
+                lineGap: metrics.lineGap,
+                capHeight: metrics.capHeight,
+                xHeight: metrics.xHeight,
+                metricsSource: metrics.metricsSource
+            };
+        }
+
+        return {
+            elementNames: Object.keys(elements),
+            familyNames: Object.keys(fontMetrics),
+            elements,
+            fontMetrics
+        };
+    }
+
+    // Type declarations shared by tokens.ts and tokens.d.mts
+    generateTokenModuleTypes(data) {
+        const union = names => names.map(name => `'${name}'`).join(' | ');
+        return `export type TypeElement = ${union(data.elementNames)};
+export type FontFamily = ${union(data.familyNames)};
+
+/** Sizes in rem */
+export interface GridValues {
+  fontSize: number;
+  lineHeight: number;
+  /** padding-top that moves the first baseline onto the grid */
+  nudgeTop: number;
+  spaceAfter: number;
+  /** spaceAfter minus the nudge */
+  marginBottom: number;
+}
+
+/** CSS values, usable as a style object */
+export interface TypeStyle {
+  fontFamily?: string;
+  fontWeight?: number;
+  fontStyle?: string;
+  fontVariationSettings?: string;
+  fontSize?: string;
+  lineHeight: string;
+  paddingTop: string;
+  marginBottom: string;
+  marginTop?: string;
+}
+
+export interface TypeElementTokens extends GridValues {
+  fontFamily: FontFamily;
+  fontWeight: number;
+  fontStyle: string;
+  css: TypeStyle;
+  /** Values from each min-width (breakpoints or fluid sample widths) */
+  breakpoints: Record<string, GridValues & { css: TypeStyle }>;
+}
+
+/** Font metrics in font units */
+export interface FontMetrics {
+  fontName: string;
+  unitsPerEm: number;
+  ascent: number;
+  descent: number;
+  lineGap: number;
+  capHeight: number;
+  xHeight: number;
+  metricsSource: string;
+}
+`;
+    }
+
+    /**
+     * Token module for JavaScript and TypeScript projects
+     * @param {Object} tokens - Generated tokens
+     * @param {Object} fontMetricsMap - Font metrics by family
+     * @param {string} variant - 'ts' (tokens.ts), 'esm' (tokens.mjs) or 'dts' (tokens.d.mts, types of tokens.mjs)
+     * @returns {string} Module source
+     */
+    generateTokenModule(tokens, fontMetricsMap, variant = 'ts') {
+        const data = this.getTokenModuleData(tokens, fontMetricsMap);
+        const constants = [
+            ['baselineUnit', 'number', parseFloat(tokens.baselineUnit), 'Baseline grid unit in rem'],
+            ['rootFontSize', 'number', parseFloat(tokens.rootFontSize), 'Root font size in px the rem values are calculated for'],
+            ['nudgeStrategy', 'string', tokens.nudgeStrategy || 'padding', 'How the nudge is applied: padding, trim or pseudo-margin'],
+            ['typeElements', 'readonly TypeElement[]', data.elementNames, null],
+            ['elements', 'Record<TypeElement, TypeElementTokens>', data.elements, null],
+            ['fontMetrics', 'Record<FontFamily, FontMetrics>', data.fontMetrics, null]
+        ];
+
+        let source = `// AUTO-GENERATED FILE. DO NOT EDIT DIRECTLY.
+// Generated by @lyubomir-popov/baseline-nudge-generator
+`;
+        if (variant !== 'esm') {
+            source += `\n${this.generateTokenModuleTypes(data)}`;
+        }
+        for (const [name, type, value, description] of constants) {
+            source += description ? `\n/** ${description} */\n` : '\n';
+            if (variant === 'dts') {
+                source += `export declare const ${name}: ${type};\n`;
+            } else {
+                const annotation = variant === 'ts' ? `: ${type}` : '';
+                source += `export const ${name}${annotation} = ${JSON.stringify(value, null, 2)};\n`;
+            }
+        }
+
+        const names = constants.map(([name]) => name);
+        if (variant === 'dts') {
+            source += `\ndeclare const tokens: { ${names.map(name => `${name}: typeof ${name}`).join('; ')} };\nexport default tokens;\n`;
+        } else {
+            source += `\nexport default { ${names.join(', ')} };\n`;
+        }
+        return source;
+    }
+
+    /**
+     * Element styles for native text layout: rem converted to pt (iOS) or sp/dp
+     * (Android, Compose) with 1rem = the root font size, and a baseline offset
+     * computed from the raw font metrics for the platform's line layout rather
+     * than the CSS nudge. Base values only; breakpoints and fluid steps are web-only.
+     * @param {Object} tokens - Generated tokens
+     * @param {Object} fontMetricsMap - Font metrics by family ('default' for the legacy fontFile)
+     * @param {string} platform - ios, android or compose
+     * @returns {Object} baselineUnit and styles (identifier, fontName, fontWeight, fontStyle,
+     *   fontSize, lineHeight, spaceAfter, firstBaseline, baselineOffset)
+     */
+    getNativeTypeStyles(tokens, fontMetricsMap, platform) {
+        if (!NATIVE_LAYOUTS[platform]) {
+            throw new Error(`Unknown native platform "${platform}". Supported: ${Object.keys(NATIVE_LAYOUTS).join(', ')}`);
+        }
+        const rootFontSize = parseFloat(tokens.rootFontSize) || DEFAULT_ROOT_FONT_SIZE;
+        const toPlatform = rem => Math.round(parseFloat(rem) * rootFontSize * 100) / 100;
+        const baselineUnit = toPlatform(tokens.baselineUnit);
+
+        const styles = Object.entries(tokens.elements).map(([identifier, props]) => {
+            const metrics = this.getTokenMetrics(props, tokens, fontMetricsMap);
+            const style = {
+                identifier,
+                fontName: metrics.fontName || tokens.font,
+                fontWeight: props.fontWeight || tokens.fontWeight || 400,
+                fontStyle: props.fontStyle || 'normal',
+                fontSize: toPlatform(props.fontSize),
+                lineHeight: toPlatform(props.lineHeight),
+                spaceAfter: toPlatform(props.spaceAfter)
+            };
+            const offset = calculateNativeBaselineOffset(metrics, { ...style, baselineUnit, align: props.align }, platform);
+            return { ...style, ...offset };
+        });
+        return { baselineUnit, styles };
+    }
+
+    /**
+     * Native typography source: Swift (ios), Android XML resources (android)
+     * or Jetpack Compose Kotlin (compose)
+     * @param {Object} tokens - Generated tokens
+     * @param {Object} fontMetricsMap - Font metrics by family ('default' for the legacy fontFile)
+     * @param {string} platform - ios, android or compose
+     * @param {Object} options - Options
+     * @param {string} options.package - Kotlin package of the compose source (default com.example.typography)
+     * @returns {string} File contents
+     */
+    generateNativeTypography(tokens, fontMetricsMap, platform, options = {}) {
+        const { baselineUnit, styles } = this.getNativeTypeStyles(tokens, fontMetricsMap, platform);
+        if (platform === 'ios') {
+            return generateSwift(styles, baselineUnit);
+        }
+        if (platform === 'android') {
+            return generateAndroidXml(styles, baselineUnit);
         }
+        return generateCompose(styles, baselineUnit, options.package || 'com.example.typography');
+    }
+
+    /**
+     * Convert generated tokens with a registered output formatter
+     * @param {string} format - Formatter name (see getFormatterNames)
+     * @param {Object} tokens - Generated tokens
+     * @param {Object} fontMetricsMap - Font metrics by family
+     * @param {Object} options - Formatter options (package for compose)
+     * @param {Object} context - config and inputPath, for formatters that read the configuration
+     * @returns {string|Promise<string>} File contents
+     */
+    exportTokens(format, tokens, fontMetricsMap, options = {}, context = {}) {
+        return resolveFormatter(format).format(tokens, fontMetricsMap, options, { config: {}, ...context, generator: this });
+    }
+
+    /**
+     * Register the formatter modules listed in config.formatters
+     * @param {Object} config - Parsed configuration
+     * @param {string} inputPath - Config file path; module paths are relative to it
+     * @returns {string[]} Names of the registered formatters
+     */
+    loadFormatters(config, inputPath) {
+        return (config.formatters || []).flatMap(modulePath => {
+            try {
+                return loadFormatterModule(modulePath, path.dirname(inputPath));
+            } catch (error) {
+                throw new ConfigurationError(`Cannot load formatter module "${modulePath}": ${error.message}`, inputPath);
+            }
+        });
+    }
+
+    /**
+     * Register the formatter modules of a configuration and resolve its outputs
+     * (config.outputs or the default ones), so formats from the modules are checked too
+     * @param {Object} config - Parsed configuration
+     * @param {string} inputPath - Config file path; module paths are relative to it
+     * @returns {Object[]} Outputs with their formatter
+     */
+    resolveOutputs(config, inputPath) {
+        this.loadFormatters(config, inputPath);
+        return (config.outputs || getDefaultOutputs(config)).map(output => {
+            try {
+                return { ...output, formatter: resolveFormatter(output.format) };
+            } catch (error) {
+                throw new ConfigurationError(error.message, inputPath);
+            }
+        });
+    }
 
-        const config = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+    /**
+     * Read the metrics of every font file in a configuration
+     * @param {Object} config - Parsed configuration
+     * @param {string} inputPath - Config file path; font files are relative to it
+     * @returns {Promise<Object>} Font metrics by family ('default' for the legacy fontFile)
+     */
+    async loadFontMetrics(config, inputPath) {
         const inputDir = path.dirname(inputPath);
 
         // Handle both single fontFile (legacy) and multiple fontFiles (new format)
@@ -437,6 +2136,11 @@ body.u-baseline-grid::after {
         if (config.fontFiles) {
             // New format with multiple font files
             for (const fontFile of config.fontFiles) {
+                // Weights the elements use, resolved as instances when the font has a wght axis
+                const instanceWeights = [...new Set((config.elements || [])
+                    .filter(element => (element.fontFamily || 'sans') === fontFile.family)
+                    .map(element => element.fontWeight || 400))];
+
                 const fontPath = this.findFontFile(inputDir, fontFile.path);
                 if (!fontPath) {
                     throw new FontFileError(`Font file not found: ${fontFile.path}
@@ -447,18 +2151,38 @@ Please ensure your font file is in the same directory as your config file.`, fon
                 }
 
                 try {
-                    const metrics = await this.readFontMetrics(fontPath);
+                    const metrics = await this.readFontMetrics(fontPath, {
+                        metricsSource: fontFile.metricsSource,
+                        variation: fontFile.variation,
+                        instanceWeights
+                    });
                     const fontName = await this.extractFontName(metrics, fontPath);
-                    fontMetricsMap[fontFile.family] = {
+                    // A free wght axis covers its whole range, as the @font-face rule declares it
+                    const wght = metrics.variationAxes && metrics.variationAxes.wght;
+                    const pinnedWeight = metrics.variation && metrics.variation.wght !== undefined;
+                    const face = {
                         ...metrics,
                         fontName: fontName,
                         family: fontFile.family,
+                        weight: fontFile.weight || metrics.fontWeight || 400,
+                        weightRange: wght && !pinnedWeight ? [wght.min, wght.max] : null,
+                        style: fontFile.style || metrics.fontStyle || 'normal',
                         path: fontFile.path
                     };
+                    if (!fontMetricsMap[fontFile.family]) {
+                        fontMetricsMap[fontFile.family] = { faces: [] };
+                    }
+                    fontMetricsMap[fontFile.family].faces.push(face);
                 } catch (error) {
                     throw new FontMetricsError(`Failed to read font metrics for ${fontFile.family}: ${error.message}`, fontPath);
                 }
             }
+
+            // The face closest to regular stands for the family; all faces share its font name in CSS
+            for (const [family, { faces }] of Object.entries(fontMetricsMap)) {
+                const defaultFace = this.resolveFontFace({ faces }, 400, 'normal');
+                fontMetricsMap[family] = { ...defaultFace, faces };
+            }
         } else if (config.fontFile) {
             // Legacy format with single font file
             const fontPath = this.findFontFile(inputDir, config.fontFile);
@@ -471,7 +2195,7 @@ Please ensure your font file is in the same directory as your config file.`, con
             }
 
             try {
-                const metrics = await this.readFontMetrics(fontPath);
+                const metrics = await this.readFontMetrics(fontPath, { metricsSource: config.metricsSource, variation: config.variation });
                 const fontName = await this.extractFontName(metrics, fontPath);
                 fontMetricsMap['default'] = {
                     ...metrics,
@@ -490,44 +2214,146 @@ Please ensure your font file is in the same directory as your config file.`, con
             throw new ConfigurationError('Either fontFile (legacy) or fontFiles (new format) is required.', inputPath);
         }
 
+        return fontMetricsMap;
+    }
+
+    /**
+     * Compare a file generateFiles would write with the one on disk
+     * @param {string} filePath - Output path
+     * @param {string|Buffer} contents - New contents (Buffer for copied fonts)
+     * @returns {Object} status (create, modify or unchanged) and diff (unified diff, or a note for binary files)
+     */
+    diffOutputFile(filePath, contents) {
+        const exists = fs.existsSync(filePath);
+        if (Buffer.isBuffer(contents)) {
+            if (!exists) {
+                return { status: 'create', diff: `Binary file ${filePath} added\n` };
+            }
+            return fs.readFileSync(filePath).equals(contents)
+                ? { status: 'unchanged', diff: '' }
+                : { status: 'modify', diff: `Binary file ${filePath} differs\n` };
+        }
+
+        const current = exists ? fs.readFileSync(filePath, 'utf8') : null;
+        let status = 'modify';
+        if (current === null) {
+            status = 'create';
+        } else if (current === contents) {
+            status = 'unchanged';
+        }
+        return { status, diff: createUnifiedDiff(current, contents, { fromFile: `a/${filePath}`, toFile: `b/${filePath}` }) };
+    }
+
+    /**
+     * Generate the output files of a configuration and copy its fonts
+     * @param {string} inputPath - Config file path
+     * @param {string} outputDir - Output directory
+     * @param {Object} options - Options
+     * @param {boolean} options.write - false to only return the files, with a diff against
+     *   the disk, without writing anything or logging (default true)
+     * @returns {Promise<Object>} tokens, outputs (format, path), files (path, contents, and status
+     *   and diff when not writing), warnings and the paths of the built-in outputs
+     */
+    async generateFiles(inputPath, outputDir = 'dist', options = {}) {
+        const write = options.write !== false;
+        // Validate configuration first
+        const validation = validateConfigFile(inputPath);
+        if (!validation.isValid) {
+            throw new ConfigurationError(
+                `Configuration validation failed:\n${validation.errors.join('\n')}`,
+                inputPath
+            );
+        }
+
+        // Show warnings if any
+        if (write && validation.warnings.length > 0) {
+            console.warn('⚠️  Configuration warnings:');
+            validation.warnings.forEach(warning => console.warn(`   ${warning}`));
+        }
+
+        if (!fs.existsSync(inputPath)) {
+            throw new ConfigurationError(`Input file not found: ${inputPath}`, inputPath);
+        }
+
+        const config = expandConfig(JSON.parse(fs.readFileSync(inputPath, 'utf8')));
+        const fontMetricsMap = await this.loadFontMetrics(config, inputPath);
+
         const tokens = this.generateTokens(config, fontMetricsMap);
-        const html = this.generateHTML(tokens, fontMetricsMap);
+        // Resolve every format before anything is written, so a typo leaves the output directory alone
+        const plannedOutputs = this.resolveOutputs(config, inputPath);
 
         // Create output directory if it doesn't exist
-        if (!fs.existsSync(outputDir)) {
+        if (write && !fs.existsSync(outputDir)) {
             fs.mkdirSync(outputDir, { recursive: true });
         }
 
-        // Write JSON tokens
-        const tokensPath = path.join(outputDir, 'tokens.json');
-        fs.writeFileSync(tokensPath, JSON.stringify(tokens, null, 2));
-        console.log(`✅ Generated tokens: ${tokensPath}`);
+        // Write a file, or record how it differs from the disk
+        const files = [];
+        const emitFile = (filePath, contents, message) => {
+            const file = { path: filePath, contents };
+            if (write) {
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                fs.writeFileSync(filePath, contents);
+                console.log(`✅ ${message}: ${filePath}`);
+            } else {
+                Object.assign(file, this.diffOutputFile(filePath, contents));
+            }
+            files.push(file);
+        };
+
+        // Write each output with its formatter; paths are relative to the output directory
+        const outputs = [];
+        for (const { formatter, ...output } of plannedOutputs) {
+            let outputPath = path.join(outputDir, output.path || formatter.fileName);
+            if (output.path && /[\\/]$/.test(output.path)) {
+                outputPath = path.join(outputPath, formatter.fileName);
+            }
+            const contents = await formatter.format(tokens, fontMetricsMap, output.options || {}, { generator: this, config, inputPath });
+            emitFile(outputPath, contents, `Generated ${formatter.label}`);
+            outputs.push({ format: output.format, path: outputPath });
+        }
 
-        // Write HTML example
-        const htmlPath = path.join(outputDir, 'index.html');
-        fs.writeFileSync(htmlPath, html);
-        console.log(`✅ Generated HTML example: ${htmlPath}`);
+        // Report where the interpolated fluid sizes leave the grid
+        if (write && config.fluid) {
+            for (const [identifier, props] of Object.entries(tokens.elements)) {
+                (props.fluid ? props.fluid.offGrid : []).forEach(range => {
+                    console.warn(`⚠️  ${identifier}: baseline up to ${range.maxOffset} off the grid between ${range.from} and ${range.to}; add a sample width in that range`);
+                });
+            }
+        }
 
         // Copy font files to dist folder for HTML demo
         const fontDistDir = path.join(outputDir, 'fonts');
-        if (!fs.existsSync(fontDistDir)) {
+        if (write && !fs.existsSync(fontDistDir)) {
             fs.mkdirSync(fontDistDir, { recursive: true });
         }
 
-        // Copy all font files
-        for (const fontFamily in fontMetricsMap) {
-            const fontMetrics = fontMetricsMap[fontFamily];
+        // Copy all font files, including every face of a family
+        const faces = Object.values(fontMetricsMap).flatMap(familyMetrics => familyMetrics.faces || [familyMetrics]);
+        for (const fontMetrics of faces) {
             const fontSrcPath = path.resolve(path.dirname(inputPath), fontMetrics.path);
             const fontFileName = path.basename(fontSrcPath);
             const fontDistPath = path.join(fontDistDir, fontFileName);
 
             if (fs.existsSync(fontSrcPath)) {
-                fs.copyFileSync(fontSrcPath, fontDistPath);
-                console.log(`✅ Copied font: ${fontDistPath}`);
+                emitFile(fontDistPath, fs.readFileSync(fontSrcPath), 'Copied font');
             }
         }
 
-        return { tokens, tokensPath, htmlPath };
+        // Paths of the built-in outputs, null when not written
+        const pathOf = format => (outputs.find(output => output.format === format) || { path: null }).path;
+        return {
+            tokens,
+            outputs,
+            files,
+            warnings: validation.warnings,
+            tokensPath: pathOf('json'),
+            htmlPath: pathOf('html'),
+            cssPath: pathOf('css'),
+            customPropertiesPath: pathOf('custom-properties'),
+            fallbacksPath: pathOf('fallbacks'),
+            fluidPath: pathOf('fluid')
+        };
     }
 
     // Legacy method for backward compatibility
@@ -535,18 +2361,39 @@ Please ensure your font file is in the same directory as your config file.`, con
         return `(\n${Object.entries(obj).map(([k, v]) => `  ${k}: ${valueTransform(v)},`).join('\n')}\n)`;
     }
 
-    // Updated legacy SCSS generation to work with new format
-    generateNudges(config) {
-    // Handle both new format (elements array) and legacy format (separate objects)
+    /**
+     * Nudges and space after per element, in rem
+     * @param {Object} config - Configuration (legacy maps, legacy fontFile elements or fontFiles)
+     * @param {Object} fontMetricsMap - Font metrics by family, required for fontFiles configs
+     * @returns {Object} nudges and spAfters keyed by element name
+     */
+    generateNudges(config, fontMetricsMap = null) {
+        // The multi-font format calculates each element with the metrics of its own family
+        if (config.fontFiles) {
+            if (!fontMetricsMap) {
+                throw new Error('Font metrics not loaded. Load them with loadFontMetrics() to calculate nudges for fontFiles.');
+            }
+            const { elements } = this.generateTokens(config, fontMetricsMap);
+            const calculatedNudges = {};
+            const calculatedSpAfters = {};
+            for (const [identifier, props] of Object.entries(elements)) {
+                calculatedNudges[identifier] = parseFloat(props.nudgeTop);
+                calculatedSpAfters[identifier] = parseFloat(props.spaceAfter);
+            }
+            return { nudges: calculatedNudges, spAfters: calculatedSpAfters };
+        }
+
+        // Handle both new format (elements array) and legacy format (separate objects)
         if (config.elements) {
             // New format - convert elements array to legacy format
             const calculatedNudges = {};
             const calculatedSpAfters = {};
 
             for (const element of config.elements) {
-                const { classname, fontSize, lineHeight } = element;
-                const cleanName = this.cleanClassname(classname);
-                const nudgeRem = this.calculateNudgeRem(fontSize, lineHeight, config.baselineUnit);
+                const { fontSize, align } = element;
+                const cleanName = this.getElementName(element);
+                const lineHeight = this.resolveLineHeight(element, config.baselineUnit, config.rootFontSize, config.algorithm);
+                const nudgeRem = this.calculateNudgeRem(fontSize, lineHeight, config.baselineUnit, config.rootFontSize, align, config.algorithm);
                 const spAfterRem = 4 * config.baselineUnit; // Default space after
 
                 calculatedNudges[cleanName] = nudgeRem;
@@ -570,7 +2417,7 @@ Please ensure your font file is in the same directory as your config file.`, con
             const spAfterMultiplier = spAfter[key];
 
             if (fontSizeRem !== undefined && lineHeightRem !== undefined) {
-                const nudgeRem = this.calculateNudgeRem(fontSizeRem, lineHeightRem, baselineUnit);
+                const nudgeRem = this.calculateNudgeRem(fontSizeRem, lineHeightRem, baselineUnit, config.rootFontSize, 'baseline', config.algorithm);
                 const spAfterRem = spAfterMultiplier * baselineUnit;
                 calculatedNudges[key] = nudgeRem;
                 calculatedSpAfters[key] = spAfterRem;
@@ -583,7 +2430,151 @@ Please ensure your font file is in the same directory as your config file.`, con
         return { nudges: calculatedNudges, spAfters: calculatedSpAfters };
     }
 
-    generateScss(config) {
+    /**
+     * SCSS for the multi-font format: per-family metric maps, per-element maps and a
+     * type($name) mixin applying font, size, line height, nudge and spacing
+     * @param {Object} config - Configuration with fontFiles and identifier elements
+     * @param {Object} fontMetricsMap - Font metrics by family
+     * @returns {string} SCSS
+     */
+    generateMultiFontScss(config, fontMetricsMap) {
+        const tokens = this.generateTokens(config, fontMetricsMap);
+        const nudgeStrategy = tokens.nudgeStrategy;
+        const isTrimmed = nudgeStrategy !== 'padding';
+        const round = value => Math.round(value * 100000) / 100000;
+        const map = (entries, indent) => {
+            const lines = entries.map(([key, value]) => `${indent}  ${key}: ${value},`);
+            return lines.length ? `(\n${lines.join('\n')}\n${indent})` : '()';
+        };
+
+        // Values that change at a breakpoint or fluid step; null values are left out by Sass
+        const boxEntries = props => [
+            ['font-size', props.fontSize],
+            ['line-height', props.lineHeight],
+            ['nudge', props.nudgeTop],
+            ['space-after', props.spaceAfter],
+            ['margin-bottom', `${round(this.getMarginBottomRem(props, nudgeStrategy))}rem`],
+            ...(isTrimmed ? [['cap-height-trim', props.capHeightTrim], ['baseline-trim', props.baselineTrim]] : [])
+        ];
+
+        const families = Object.entries(fontMetricsMap).map(([family, metrics]) => [family, map([
+            ['font-name', `'${metrics.fontName}'`],
+            ['ascent', metrics.ascent],
+            ['descent', metrics.descent],
+            ['line-gap', metrics.lineGap],
+            ['units-per-em', metrics.unitsPerEm],
+            ['cap-height', metrics.capHeight],
+            ['x-height', metrics.xHeight]
+        ], '  ')]);
+
+        const elements = Object.entries(tokens.elements).map(([identifier, props]) => {
+            let steps = Object.entries(props.breakpoints || {});
+            // Fluid elements: the clamp() size at the base, line height and nudge per sample width
+            let fontSize = props.fontSize;
+            if (props.fluid) {
+                fontSize = `unquote("${props.fluid.fontSize}")`;
+                steps = Object.entries(props.fluid.steps).slice(1).map(([viewport, step]) => [viewport, { ...step, fontSize: 'null' }]);
+            }
+            const variation = props.variation
+                ? `(${Object.entries(props.variation).map(([tag, value]) => `'${tag}' ${value}`).join(', ')})`
+                : 'null';
+            return [`"${identifier}"`, map([
+                ['font-family', props.fontFamily || 'sans'],
+                ['font-weight', props.fontWeight || 400],
+                ['font-style', props.fontStyle || 'normal'],
+                ['font-variation-settings', variation],
+                ...boxEntries({ ...props, fontSize }),
+                ['breakpoints', map(steps.map(([width, values]) => [width, map(boxEntries(values), '      ')]), '    ')]
+            ], '  ')];
+        });
+
+        const trimRules = nudgeStrategy === 'trim' ? `
+  text-box: trim-both cap alphabetic;
+
+  @supports not (text-box: trim-both cap alphabetic) {
+    &::before {
+      content: "";
+      display: table;
+      margin-bottom: -1 * map-get($values, cap-height-trim);
+    }
+
+    &::after {
+      content: "";
+      display: table;
+      margin-top: -1 * map-get($values, baseline-trim);
+    }
+  }
+` : `
+  &::before {
+    content: "";
+    display: table;
+    margin-bottom: -1 * map-get($values, cap-height-trim);
+  }
+
+  &::after {
+    content: "";
+    display: table;
+    margin-top: -1 * map-get($values, baseline-trim);
+  }
+`;
+
+        return `// AUTO-GENERATED FILE. DO NOT EDIT DIRECTLY.
+// Generated by @lyubomir-popov/baseline-nudge-generator
+
+$baseline-unit: ${tokens.baselineUnit};
+$root-font-size: ${tokens.rootFontSize};
+$nudge-strategy: ${nudgeStrategy};
+
+// Metrics of each font family (font units)
+$font-families: ${map(families, '')};
+
+// Font, size and grid values of each element; breakpoints holds the values per min-width
+$type-elements: ${map(elements, '')};
+
+@mixin type-box($values) {
+  font-size: map-get($values, font-size);
+  line-height: map-get($values, line-height);
+  padding-top: map-get($values, nudge);
+  margin-bottom: map-get($values, margin-bottom);
+${isTrimmed ? trimRules : ''}}
+
+// Apply the whole style of an element: @include type(h1);
+@mixin type($name) {
+  @if not map-has-key($type-elements, $name) {
+    @error "Unknown type element #{$name}. Available: #{map-keys($type-elements)}";
+  }
+  $element: map-get($type-elements, $name);
+  $family: map-get($font-families, map-get($element, font-family));
+
+  font-family: map-get($family, font-name), sans-serif;
+  font-weight: map-get($element, font-weight);
+  font-style: map-get($element, font-style);
+  font-variation-settings: map-get($element, font-variation-settings);
+  margin-top: 0;
+  @include type-box($element);
+
+  @each $breakpoint, $values in map-get($element, breakpoints) {
+    @media (min-width: $breakpoint) {
+      @include type-box($values);
+    }
+  }
+}
+`;
+    }
+
+    /**
+     * SCSS variables and maps from a configuration
+     * @param {Object} config - Configuration (legacy maps, legacy fontFile elements or fontFiles)
+     * @param {Object} fontMetricsMap - Font metrics by family, required for fontFiles configs
+     * @returns {string} SCSS
+     */
+    generateScss(config, fontMetricsMap = null) {
+        if (config.fontFiles) {
+            if (!fontMetricsMap) {
+                throw new Error('Font metrics not loaded. Load them with loadFontMetrics() to generate SCSS for fontFiles.');
+            }
+            return this.generateMultiFontScss(config, fontMetricsMap);
+        }
         if (!this.fontMetrics) {
             throw new Error('Font metrics not loaded. Cannot generate SCSS without font file.');
         }
@@ -597,9 +2588,9 @@ Please ensure your font file is in the same directory as your config file.`, con
             const lineHeights = {};
 
             for (const element of config.elements) {
-                const cleanName = this.cleanClassname(element.classname);
+                const cleanName = this.getElementName(element);
                 fontSizes[cleanName] = element.fontSize;
-                lineHeights[cleanName] = element.lineHeight;
+                lineHeights[cleanName] = this.resolveLineHeight(element, config.baselineUnit, config.rootFontSize, config.algorithm);
             }
 
             return [
@@ -646,12 +2637,25 @@ Please ensure your font file is in the same directory as your config file.`, con
         }
     }
 
+    /**
+     * Write the SCSS of a configuration file
+     * Synchronous for fontFile and legacy configs; fontFiles configs return a promise,
+     * since the metrics of every family are loaded asynchronously
+     * @param {string} inputPath - Configuration file
+     * @param {string} outputPath - SCSS file to write
+     * @returns {Object|Promise<Object>} nudges by element name and outputPath
+     */
     generateFile(inputPath, outputPath) {
         if (!fs.existsSync(inputPath)) {
             throw new Error(`Input file not found: ${inputPath}`);
         }
 
-        const config = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+        const config = expandConfig(JSON.parse(fs.readFileSync(inputPath, 'utf8')));
+
+        if (config.fontFiles) {
+            return this.loadFontMetrics(config, inputPath)
+                .then(fontMetricsMap => this.writeScssFile(config, fontMetricsMap, outputPath));
+        }
 
         // Load font metrics if fontFile is specified (works for both new and legacy formats)
         if (config.fontFile && !this.fontMetrics) {
@@ -660,27 +2664,26 @@ Please ensure your font file is in the same directory as your config file.`, con
             if (fontPath) {
                 // This is sync version for legacy compatibility
                 try {
-                    const fontBuffer = fs.readFileSync(fontPath);
                     const fontkit = require('fontkit');
-                    const font = fontkit.open(fontBuffer.buffer);
-
-                    this.fontMetrics = {
-                        ascent: font.tables.hhea.ascender,
-                        descent: font.tables.hhea.descender,
-                        lineGap: font.tables.hhea.lineGap,
-                        unitsPerEm: font.unitsPerEm,
-                        capHeight: (font.tables.os2 && font.tables.os2.sCapHeight) || font.tables.hhea.ascender * 0.7,
-                        xHeight: (font.tables.os2 && font.tables.os2.sxHeight) || font.tables.hhea.ascender * 0.5
-                    };
+                    const fontData = fs.readFileSync(fontPath);
+                    const font = fontkit.create(fontData);
+
+                    // Same metric source selection as the async path
+                    this.fontMetrics = fontkitParser.extractMetrics(font, { metricsSource: config.metricsSource, variation: config.variation, fontData });
                     console.log(`✅ Loaded font metrics from: ${path.basename(fontPath)}`);
-                    console.log(`   Ascent: ${this.fontMetrics.ascent}, Descent: ${this.fontMetrics.descent}, UnitsPerEm: ${this.fontMetrics.unitsPerEm}`);
+                    console.log(`   Ascent: ${this.fontMetrics.ascent}, Descent: ${this.fontMetrics.descent}, UnitsPerEm: ${this.fontMetrics.unitsPerEm} (${this.fontMetrics.metricsSource})`);
                 } catch (error) {
                     console.warn(`⚠️  Could not read font metrics: ${error.message}`);
                 }
             }
         }
 
-        const scss = this.generateScss(config);
+        return this.writeScssFile(config, null, outputPath);
+    }
+
+    // Write the SCSS of an expanded config and return its nudges
+    writeScssFile(config, fontMetricsMap, outputPath) {
+        const scss = this.generateScss(config, fontMetricsMap);
 
         const outputDir = path.dirname(outputPath);
         if (!fs.existsSync(outputDir)) {
@@ -689,13 +2692,17 @@ Please ensure your font file is in the same directory as your config file.`, con
 
         fs.writeFileSync(outputPath, scss);
         console.log(`✅ Generated: ${outputPath}`);
-        return { nudges: this.generateNudges(config).nudges, outputPath };
+        return { nudges: this.generateNudges(config, fontMetricsMap).nudges, outputPath };
     }
 
     watch(inputPath, outputPath) {
         const chokidar = require('chokidar');
         console.log(`👀 Watching: ${inputPath}`);
-        this.generateFile(inputPath, outputPath);
+        // generateFile throws for legacy configs and rejects for fontFiles configs
+        const regenerate = () => Promise.resolve().then(() => this.generateFile(inputPath, outputPath));
+        regenerate().catch(error => {
+            console.error('❌ Error:', error.message);
+        });
 
         const watcher = chokidar.watch(inputPath, {
             ignored: /(^|[/\\])\../,
@@ -706,11 +2713,9 @@ Please ensure your font file is in the same directory as your config file.`, con
 
         watcher.on('change', () => {
             console.log('🔄 Configuration changed, regenerating...');
-            try {
-                this.generateFile(inputPath, outputPath);
-            } catch (error) {
+            regenerate().catch(error => {
                 console.error('❌ Error regenerating:', error.message);
-            }
+            });
         });
 
         console.log('🚀 Watcher ready');
@@ -0,0 +1,200 @@
+/**
+ * Output Formatters
+ * Named formatters that turn the resolved tokens into a file. generateFiles
+ * writes the formatters listed in the config outputs, exportTokens writes one;
+ * third-party formatters can be registered through the API or loaded from a module.
+ * @author Lyubomir Popov
+ */
+
+const path = require('path');
+
+/**
+ * Registered formatters by name. Each has an extension, a default fileName, a
+ * label for log messages and a format(tokens, fontMetricsMap, options, context)
+ * function returning the file contents (or a promise of them). The context
+ * carries the generator, the expanded config and the config file path (inputPath).
+ */
+const formatters = new Map();
+
+/**
+ * Register an output formatter
+ * @param {string} name - Name used by config outputs and the export command
+ * @param {string} extension - File extension without the dot
+ * @param {Function} format - format(tokens, fontMetricsMap, options, context) returning the file contents
+ * @param {Object} details - Optional fileName (default {name}.{extension}) and label; override: true
+ *   replaces a formatter already registered under the name
+ */
+function registerFormatter(name, extension, format, details = {}) {
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new Error('Formatter name must be a non-empty string');
+    }
+    if (typeof extension !== 'string' || extension.length === 0) {
+        throw new Error(`Formatter "${name}" needs a file extension`);
+    }
+    if (typeof format !== 'function') {
+        throw new Error(`Formatter "${name}" must have a format function`);
+    }
+    const { override, ...formatterDetails } = details;
+    if (formatters.has(name) && override !== true) {
+        throw new Error(`Formatter "${name}" is already registered; pass { override: true } to replace it`);
+    }
+    const extensionName = extension.replace(/^\./, '');
+    formatters.set(name, {
+        fileName: `${name}.${extensionName}`,
+        label: `${name} output`,
+        ...formatterDetails,
+        name,
+        extension: extensionName,
+        format
+    });
+}
+
+/**
+ * Names of all registered formatters
+ * @returns {string[]} Formatter names
+ */
+function getFormatterNames() {
+    return [...formatters.keys()];
+}
+
+/**
+ * Look up a registered formatter
+ * @param {string} name - Formatter name
+ * @returns {Object} Formatter definition
+ */
+function resolveFormatter(name) {
+    const formatter = formatters.get(name);
+    if (!formatter) {
+        throw new Error(`Unknown output format "${name}". Available: ${getFormatterNames().join(', ')}`);
+    }
+    return formatter;
+}
+
+/**
+ * Register the formatters of a module. The module exports one formatter
+ * { name, extension, format, fileName, label, override } or an array of them.
+ * Loading the same module again keeps its formatters as they are.
+ * @param {string} modulePath - Module path, relative to baseDir, or a package name
+ * @param {string} baseDir - Directory relative paths are resolved from
+ * @returns {string[]} Names of the registered formatters
+ */
+function loadFormatterModule(modulePath, baseDir = process.cwd()) {
+    const exported = require(require.resolve(modulePath, { paths: [path.resolve(baseDir)] }));
+    const definitions = [].concat(exported && exported.default ? exported.default : exported);
+    return definitions.map(definition => {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error(`Formatter module "${modulePath}" must export { name, extension, format } or an array of them`);
+        }
+        const { name, extension, format, ...details } = definition;
+        const registered = formatters.get(name);
+        if (!registered || registered.format !== format) {
+            registerFormatter(name, extension, format, details);
+        }
+        return name;
+    });
+}
+
+/**
+ * Outputs generateFiles writes when the config has no outputs list
+ * @param {Object} config - Configuration
+ * @returns {Object[]} format of each output
+ */
+function getDefaultOutputs(config) {
+    return [
+        'json',
+        'html',
+        config.fallbacks ? 'fallbacks' : null,
+        'css',
+        'custom-properties',
+        config.fluid ? 'fluid' : null
+    ].filter(Boolean).map(format => ({ format }));
+}
+
+registerFormatter('json', 'json', tokens => JSON.stringify(tokens, null, 2), {
+    fileName: 'tokens.json',
+    label: 'tokens'
+});
+
+registerFormatter('html', 'html', (tokens, fontMetricsMap, options, { generator }) => generator.generateHTML(tokens, fontMetricsMap), {
+    fileName: 'index.html',
+    label: 'HTML example'
+});
+
+registerFormatter('css', 'css', (tokens, fontMetricsMap, options, { generator, config }) => (
+    generator.generateTypographyCSS(tokens, fontMetricsMap, { ...config.css, ...options })
+), {
+    fileName: 'typography.css',
+    label: 'stylesheet'
+});
+
+registerFormatter('custom-properties', 'css', (tokens, fontMetricsMap, options, { generator, config }) => (
+    generator.generateCustomPropertiesCSS(tokens, { ...config.customProperties, ...options })
+), {
+    fileName: 'custom-properties.css',
+    label: 'custom properties'
+});
+
+registerFormatter('fallbacks', 'css', async (tokens, fontMetricsMap, options, { generator, config, inputPath }) => {
+    const fallbacks = options.fallbacks || config.fallbacks;
+    if (!fallbacks) {
+        throw new Error('The fallbacks output needs fallbacks in the config or its options');
+    }
+    const fallbackMetricsMap = await generator.resolveFallbackMetrics(fallbacks, fontMetricsMap, inputPath);
+    return generator.generateFallbackCSS(fontMetricsMap, fallbackMetricsMap);
+}, {
+    fileName: 'fallbacks.css',
+    label: 'fallback fonts'
+});
+
+registerFormatter('fluid', 'css', (tokens, fontMetricsMap, options, { generator }) => generator.generateFluidCSS(tokens), {
+    fileName: 'fluid.css',
+    label: 'fluid type'
+});
+
+registerFormatter('scss', 'scss', (tokens, fontMetricsMap, options, { generator, config }) => generator.generateScss(config, fontMetricsMap), {
+    fileName: '_typography.scss',
+    label: 'SCSS'
+});
+
+registerFormatter('dtcg', 'json', (tokens, fontMetricsMap, options, { generator }) => (
+    `${JSON.stringify(generator.generateDTCGTokens(tokens, fontMetricsMap), null, 2)}\n`
+), {
+    fileName: 'tokens.dtcg.json',
+    label: 'DTCG tokens'
+});
+
+registerFormatter('style-dictionary', 'json', (tokens, fontMetricsMap, options, { generator }) => (
+    `${JSON.stringify(generator.generateStyleDictionaryTokens(tokens, fontMetricsMap), null, 2)}\n`
+), {
+    fileName: 'tokens.style-dictionary.json',
+    label: 'Style Dictionary tokens'
+});
+
+registerFormatter('tailwind', 'js', (tokens, fontMetricsMap, options, { generator }) => generator.generateTailwindPreset(tokens, fontMetricsMap), {
+    fileName: 'tailwind.preset.js',
+    label: 'Tailwind CSS preset'
+});
+
+[['typescript', 'ts', 'ts', 'tokens.ts'], ['esm', 'mjs', 'esm', 'tokens.mjs'], ['esm-types', 'd.mts', 'dts', 'tokens.d.mts']].forEach(([name, extension, variant, fileName]) => {
+    registerFormatter(name, extension, (tokens, fontMetricsMap, options, { generator }) => generator.generateTokenModule(tokens, fontMetricsMap, variant), {
+        fileName,
+        label: 'token module'
+    });
+});
+
+[['ios', 'swift', 'Typography.swift'], ['android', 'xml', 'typography.xml'], ['compose', 'kt', 'BaselineTypography.kt']].forEach(([platform, extension, fileName]) => {
+    registerFormatter(platform, extension, (tokens, fontMetricsMap, options, { generator }) => (
+        generator.generateNativeTypography(tokens, fontMetricsMap, platform, options)
+    ), {
+        fileName,
+        label: `${platform} typography`
+    });
+});
+
+module.exports = {
+    registerFormatter,
+    getFormatterNames,
+    resolveFormatter,
+    loadFormatterModule,
+    getDefaultOutputs
+};
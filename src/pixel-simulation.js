@@ -0,0 +1,124 @@
+/**
+ * Device Pixel Simulation
+ * Lays out stacked blocks of an element the way browsers round them and reports
+ * how far each baseline lands from its grid line, in device pixels
+ * @author Lyubomir Popov
+ */
+
+// Browsers position boxes in 1/64 px layout units
+const LAYOUT_UNITS_PER_PX = 64;
+
+const DEFAULT_SIMULATION_OPTIONS = {
+    devicePixelRatios: [1, 2],
+    lines: 20,
+    linesPerBlock: 3,
+    threshold: 1
+};
+
+function toLayoutUnit(px) {
+    return Math.round(px * LAYOUT_UNITS_PER_PX) / LAYOUT_UNITS_PER_PX;
+}
+
+/**
+ * Simulate the baselines of an element repeated as consecutive blocks
+ * @param {Object} layout - Element layout in rem: fontSize, lineHeight, nudgeTop, marginBottom,
+ *   capHeightTrim and baselineTrim (trimmed boxes only)
+ * @param {Object} metrics - Font metrics (ascent, descent, unitsPerEm)
+ * @param {Object} options - Simulation options
+ * @param {number} options.baselineUnit - Baseline unit in rem
+ * @param {number} options.rootFontSize - Root font size in px
+ * @param {number} options.devicePixelRatio - Device pixel ratio
+ * @param {number} options.lines - Number of lines to lay out
+ * @param {number} options.linesPerBlock - Lines per block (paragraph)
+ * @param {boolean} options.isTrimmed - Whether the boxes are trimmed to cap height and baseline
+ * @returns {Object[]} Per line: line, block, baseline (CSS px), actual and expected device pixel, drift
+ */
+function simulateBaselines(layout, metrics, options) {
+    const { baselineUnit, rootFontSize, devicePixelRatio, lines, linesPerBlock, isTrimmed } = options;
+    const px = rem => rem * rootFontSize;
+    const fontSizePx = px(layout.fontSize);
+
+    // Browsers round the ascent and descent of the font to whole pixels and
+    // split the leading in layout units; the exact layout keeps every fraction
+    const layouts = {
+        actual: {
+            round: toLayoutUnit,
+            ascent: Math.round(metrics.ascent * fontSizePx / metrics.unitsPerEm),
+            descent: Math.round(Math.abs(metrics.descent) * fontSizePx / metrics.unitsPerEm)
+        },
+        exact: {
+            round: value => value,
+            ascent: metrics.ascent * fontSizePx / metrics.unitsPerEm,
+            descent: Math.abs(metrics.descent) * fontSizePx / metrics.unitsPerEm
+        }
+    };
+
+    const baselinesFor = ({ round, ascent, descent }) => {
+        const lineHeight = round(px(layout.lineHeight));
+        const paddingTop = round(px(layout.nudgeTop));
+        const marginBottom = round(px(layout.marginBottom));
+        const trimTop = isTrimmed ? round(px(layout.capHeightTrim)) : 0;
+        const trimBottom = isTrimmed ? round(px(layout.baselineTrim)) : 0;
+        const baselineInLine = round((lineHeight - ascent - descent) / 2) + ascent;
+
+        const baselines = [];
+        let blockTop = 0;
+        for (let block = 0; baselines.length < lines; block++) {
+            const count = Math.min(linesPerBlock, lines - baselines.length);
+            for (let line = 0; line < count; line++) {
+                baselines.push(blockTop + paddingTop - trimTop + line * lineHeight + baselineInLine);
+            }
+            // Sibling margins collapse with margin-top: 0, so the next block starts after marginBottom
+            blockTop += paddingTop + linesPerBlock * lineHeight - trimTop - trimBottom + marginBottom;
+        }
+        return baselines;
+    };
+
+    const actual = baselinesFor(layouts.actual);
+    const exact = baselinesFor(layouts.exact);
+    const baselineUnitPx = px(baselineUnit);
+
+    return actual.map((baseline, index) => {
+        // The grid line the generator aims for, as the grid overlay paints it
+        const gridLine = Math.round(exact[index] / baselineUnitPx) * baselineUnitPx;
+        const actualDevicePx = Math.round(baseline * devicePixelRatio);
+        const expectedDevicePx = Math.round(gridLine * devicePixelRatio);
+        return {
+            line: index + 1,
+            block: Math.floor(index / linesPerBlock) + 1,
+            baseline: Math.round(baseline * 1000) / 1000,
+            actualDevicePx,
+            expectedDevicePx,
+            drift: actualDevicePx - expectedDevicePx
+        };
+    });
+}
+
+/**
+ * Summarise simulated baselines. A constant offset from the grid (such as the
+ * legacy 1px compensation) is reported but only drift that builds up is flagged.
+ * @param {Object[]} baselines - Output of simulateBaselines
+ * @param {number} threshold - Cumulative drift in device pixels that is flagged
+ * @returns {Object} offset (drift of the first line), finalDrift, maxDrift, cumulativeDrift,
+ *   driftFromLine (first flagged line or null) and flagged
+ */
+function summarizeDrift(baselines, threshold = DEFAULT_SIMULATION_OPTIONS.threshold) {
+    const offset = baselines[0].drift;
+    const flaggedLine = baselines.find(baseline => Math.abs(baseline.drift - offset) >= threshold);
+    const maxDrift = baselines.reduce((max, baseline) => (Math.abs(baseline.drift) > Math.abs(max) ? baseline.drift : max), 0);
+    const finalDrift = baselines[baselines.length - 1].drift;
+    return {
+        offset,
+        finalDrift,
+        maxDrift,
+        cumulativeDrift: finalDrift - offset,
+        driftFromLine: flaggedLine ? flaggedLine.line : null,
+        flagged: Boolean(flaggedLine)
+    };
+}
+
+module.exports = {
+    DEFAULT_SIMULATION_OPTIONS,
+    simulateBaselines,
+    summarizeDrift
+};
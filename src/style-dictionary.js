@@ -0,0 +1,202 @@
+/**
+ * Style Dictionary
+ * Transforms, formats and a platform config for the source file written by
+ * `baseline-nudges export config.json style-dictionary` (Style Dictionary 4)
+ * @author Lyubomir Popov
+ */
+
+const NAMESPACE = 'baseline-nudges';
+
+// CSS declaration of each element property, in output order
+const CSS_PROPERTIES = {
+    fontFamily: 'font-family',
+    fontWeight: 'font-weight',
+    fontStyle: 'font-style',
+    fontSize: 'font-size',
+    lineHeight: 'line-height',
+    nudge: 'padding-top',
+    marginBottom: 'margin-bottom'
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Sizes from the source file, whatever the built-in transform group did to them first
+function isBaselineSize(token) {
+    return token.property !== undefined && ['dimension', 'fontSize'].includes(token.type);
+}
+
+function remValue(token) {
+    return parseFloat(token.original ? token.original.value : token.value);
+}
+
+function basePxFontSize(platform) {
+    return (platform && platform.basePxFontSize) || 16;
+}
+
+const transforms = [
+    {
+        name: `${NAMESPACE}/size/rem`,
+        type: 'value',
+        filter: isBaselineSize,
+        transform: token => `${remValue(token)}rem`
+    },
+    {
+        name: `${NAMESPACE}/size/pt`,
+        type: 'value',
+        filter: isBaselineSize,
+        transform: (token, platform) => `CGFloat(${round(remValue(token) * basePxFontSize(platform))})`
+    },
+    {
+        name: `${NAMESPACE}/size/android`,
+        type: 'value',
+        filter: isBaselineSize,
+        // Nudges and spacing scale with the text like the sizes, so the grid holds at any font scale
+        transform: (token, platform) => `${round(remValue(token) * basePxFontSize(platform))}sp`
+    }
+];
+
+/**
+ * Group the element tokens of a dictionary by breakpoint and element
+ * @param {Object[]} allTokens - dictionary.allTokens
+ * @returns {Map} Breakpoint ('' for the base values) → Map of element → { property: value }
+ */
+function groupElementTokens(allTokens) {
+    const groups = new Map([['', new Map()]]);
+    allTokens.filter(token => token.element).forEach(token => {
+        const breakpoint = token.breakpoint || '';
+        if (!groups.has(breakpoint)) {
+            groups.set(breakpoint, new Map());
+        }
+        const elements = groups.get(breakpoint);
+        elements.set(token.element, { ...elements.get(token.element), [token.property]: token.value });
+    });
+    return groups;
+}
+
+// Declarations of one element, indented
+function elementDeclarations(values, indent) {
+    return Object.entries(CSS_PROPERTIES)
+        .filter(([property]) => values[property] !== undefined)
+        .map(([property, cssProperty]) => {
+            const value = property === 'fontFamily' ? `'${values[property]}', sans-serif` : values[property];
+            return `${indent}${cssProperty}: ${value};`;
+        })
+        .join('\n');
+}
+
+const HEADER = `/* AUTO-GENERATED FILE. DO NOT EDIT DIRECTLY. */
+/* Generated by @lyubomir-popov/baseline-nudge-generator */
+`;
+
+const formats = [
+    {
+        // One class per element with its nudge and spacing, breakpoints in @media blocks
+        name: `${NAMESPACE}/css/classes`,
+        format: ({ dictionary }) => {
+            let css = HEADER;
+            for (const [breakpoint, elements] of groupElementTokens(dictionary.allTokens)) {
+                const indent = breakpoint ? '    ' : '  ';
+                let rules = '';
+                for (const [element, values] of elements) {
+                    const marginTop = breakpoint ? '' : `\n${indent}margin-top: 0;`;
+                    rules += `\n${indent.slice(2)}.${element} {\n${elementDeclarations(values, indent)}${marginTop}\n${indent.slice(2)}}\n`;
+                }
+                css += breakpoint ? `\n@media (min-width: ${breakpoint}) {${rules}}\n` : rules;
+            }
+            return css;
+        }
+    },
+    {
+        // @mixin type-{element} per element, breakpoints nested as @media
+        name: `${NAMESPACE}/scss/mixins`,
+        format: ({ dictionary }) => {
+            const groups = groupElementTokens(dictionary.allTokens);
+            let scss = HEADER.replace(/\/\* (.*) \*\//g, '// $1');
+            for (const [element, values] of groups.get('')) {
+                scss += `\n@mixin type-${element} {\n${elementDeclarations(values, '  ')}\n  margin-top: 0;\n`;
+                for (const [breakpoint, elements] of groups) {
+                    if (breakpoint && elements.has(element)) {
+                        scss += `\n  @media (min-width: ${breakpoint}) {\n${elementDeclarations(elements.get(element), '    ')}\n  }\n`;
+                    }
+                }
+                scss += '}\n';
+            }
+            return scss;
+        }
+    }
+];
+
+/**
+ * Register the transforms and formats with Style Dictionary
+ * @param {Object} StyleDictionary - The Style Dictionary class (or an instance)
+ * @returns {Object} StyleDictionary, for chaining
+ */
+function registerStyleDictionary(StyleDictionary) {
+    transforms.forEach(transform => StyleDictionary.registerTransform(transform));
+    formats.forEach(format => StyleDictionary.registerFormat(format));
+    return StyleDictionary;
+}
+
+/**
+ * Style Dictionary config building CSS, SCSS, iOS (Swift) and Android outputs
+ * from the exported source file
+ * @param {Object} options - Options
+ * @param {string|string[]} options.source - Source file(s) (default tokens.style-dictionary.json)
+ * @param {string} options.buildPath - Output directory (default build/)
+ * @param {number} options.rootFontSize - Root font size in px that rem values are converted with (default 16)
+ * @returns {Object} Style Dictionary config
+ */
+function createStyleDictionaryConfig(options = {}) {
+    const buildPath = (options.buildPath || 'build/').replace(/\/?$/, '/');
+    const source = [].concat(options.source || 'tokens.style-dictionary.json');
+    const basePxFontSize = options.rootFontSize || 16;
+
+    return {
+        source,
+        platforms: {
+            css: {
+                transformGroup: 'css',
+                transforms: [`${NAMESPACE}/size/rem`],
+                buildPath: `${buildPath}css/`,
+                files: [
+                    { destination: 'variables.css', format: 'css/variables' },
+                    { destination: 'typography.css', format: `${NAMESPACE}/css/classes` }
+                ]
+            },
+            scss: {
+                transformGroup: 'scss',
+                transforms: [`${NAMESPACE}/size/rem`],
+                buildPath: `${buildPath}scss/`,
+                files: [
+                    { destination: '_variables.scss', format: 'scss/variables' },
+                    { destination: '_typography.scss', format: `${NAMESPACE}/scss/mixins` }
+                ]
+            },
+            ios: {
+                transformGroup: 'ios-swift',
+                transforms: [`${NAMESPACE}/size/pt`],
+                basePxFontSize,
+                buildPath: `${buildPath}ios/`,
+                files: [
+                    { destination: 'Typography.swift', format: 'ios-swift/class.swift', options: { className: 'Typography' } }
+                ]
+            },
+            android: {
+                transformGroup: 'android',
+                transforms: [`${NAMESPACE}/size/android`],
+                basePxFontSize,
+                buildPath: `${buildPath}android/`,
+                files: [
+                    { destination: 'typography.xml', format: 'android/resources' }
+                ]
+            }
+        }
+    };
+}
+
+module.exports = {
+    transforms,
+    formats,
+    registerStyleDictionary,
+    createStyleDictionaryConfig
+};
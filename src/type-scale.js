@@ -0,0 +1,126 @@
+/**
+ * Modular Type Scale
+ * Expands a scale declaration into explicit typography elements
+ * @author Lyubomir Popov
+ */
+
+const DEFAULT_NAME_PATTERN = 'fontSize-{step}';
+
+// Most steps a scale may expand to, so a typo such as "0..10000" cannot flood the outputs
+const MAX_SCALE_STEPS = 100;
+
+/**
+ * Parse scale steps given as an array of integers or a range string such as "-2..6"
+ * @param {Array<number>|string} steps - Steps to expand
+ * @returns {number[]|null} Step numbers, or null if the value is not valid or has more than MAX_SCALE_STEPS steps
+ */
+function parseSteps(steps) {
+    if (Array.isArray(steps)) {
+        return steps.length <= MAX_SCALE_STEPS && steps.every(step => Number.isInteger(step)) ? steps : null;
+    }
+    if (typeof steps === 'string') {
+        const match = steps.trim().match(/^(-?\d+)\s*\.\.\s*(-?\d+)$/);
+        if (!match) {
+            return null;
+        }
+        const from = parseInt(match[1], 10);
+        const to = parseInt(match[2], 10);
+        if (from > to || to - from + 1 > MAX_SCALE_STEPS) {
+            return null;
+        }
+        const result = [];
+        for (let step = from; step <= to; step++) {
+            result.push(step);
+        }
+        return result;
+    }
+    return null;
+}
+
+/**
+ * Validate a scale declaration
+ * @param {Object} scale - config.scale
+ * @returns {string[]} Error messages
+ */
+function validateScale(scale) {
+    const errors = [];
+    if (!scale || typeof scale !== 'object' || Array.isArray(scale)) {
+        return ['scale must be an object'];
+    }
+    if (typeof scale.base !== 'number' || scale.base <= 0) {
+        errors.push('scale.base must be a positive number (font size of step 0 in rem)');
+    }
+    if (typeof scale.ratio !== 'number' || scale.ratio <= 1) {
+        errors.push('scale.ratio must be a number larger than 1 (e.g., 1.25)');
+    }
+    if (!parseSteps(scale.steps)) {
+        errors.push(`scale.steps must be an array of integers or a range such as "-2..6", with at most ${MAX_SCALE_STEPS} steps`);
+    }
+    if (scale.namePattern !== undefined && (typeof scale.namePattern !== 'string' || !scale.namePattern.includes('{step}'))) {
+        errors.push('scale.namePattern must be a string containing {step}');
+    }
+    if (scale.round !== undefined && (typeof scale.round !== 'number' || scale.round <= 0)) {
+        errors.push('scale.round must be a positive number (rem step font sizes are rounded to)');
+    }
+    if (scale.element !== undefined && (!scale.element || typeof scale.element !== 'object' || Array.isArray(scale.element))) {
+        errors.push('scale.element must be an object of element properties');
+    } else if (scale.element) {
+        ['identifier', 'classname', 'fontSize'].filter(key => key in scale.element).forEach(key => {
+            errors.push(`scale.element.${key} is set per step by the scale`);
+        });
+    }
+    return errors;
+}
+
+/**
+ * Expand a scale declaration into elements
+ * @param {Object} scale - config.scale: base, ratio, steps, namePattern, round and element defaults
+ * @returns {Object[]} Elements with identifier, fontSize and lineHeight ("auto" unless set in scale.element)
+ */
+function expandScale(scale) {
+    const namePattern = scale.namePattern || DEFAULT_NAME_PATTERN;
+    const defaults = { lineHeight: 'auto', ...(scale.element || {}) };
+
+    return parseSteps(scale.steps).map(step => {
+        let fontSize = scale.base * Math.pow(scale.ratio, step);
+        if (scale.round) {
+            fontSize = Math.max(scale.round, Math.round(fontSize / scale.round) * scale.round);
+        }
+        return {
+            ...defaults,
+            identifier: namePattern.replace(/\{step\}/g, String(step)),
+            fontSize: Math.round(fontSize * 10000) / 10000
+        };
+    });
+}
+
+/**
+ * Replace config.scale with the elements it describes
+ * An explicit element replaces the scale step with the same identifier
+ * @param {Object} config - Configuration, possibly with a scale
+ * @returns {Object} Configuration with explicit elements only
+ */
+function expandConfig(config) {
+    if (!config || !config.scale) {
+        return config;
+    }
+
+    const { scale, ...rest } = config;
+    const explicit = Array.isArray(config.elements) ? config.elements : [];
+    const explicitByName = new Map(explicit.map(element => [element.identifier || element.classname, element]));
+    const elements = expandScale(scale).map(element => {
+        const override = explicitByName.get(element.identifier);
+        explicitByName.delete(element.identifier);
+        return override || element;
+    });
+
+    return { ...rest, elements: [...elements, ...explicitByName.values()] };
+}
+
+module.exports = {
+    MAX_SCALE_STEPS,
+    parseSteps,
+    validateScale,
+    expandScale,
+    expandConfig
+};
@@ -0,0 +1,161 @@
+/**
+ * Unified Diff
+ * Line-based unified diff between the files on disk and the files generateFiles
+ * would write, for dry runs
+ * @author Lyubomir Popov
+ */
+
+const DEFAULT_CONTEXT_LINES = 3;
+
+// Middle sections larger than this (old × new lines) are shown as replaced instead of diffed
+const MAX_LCS_CELLS = 4000000;
+
+const NO_NEWLINE = '\\ No newline at end of file';
+
+// Lines of a text; the flag records whether the last line ends with a newline
+function splitLines(text) {
+    if (text === '') {
+        return { lines: [], endsWithNewline: true };
+    }
+    const lines = text.split('\n');
+    const endsWithNewline = lines[lines.length - 1] === '';
+    if (endsWithNewline) {
+        lines.pop();
+    }
+    return { lines, endsWithNewline };
+}
+
+/**
+ * Edit script between two line lists: common prefix and suffix, and a longest
+ * common subsequence of the lines in between
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Object[]} type (' ', '-' or '+'), line, and the old and new index of each line
+ */
+function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const edits = [];
+    for (let index = 0; index < start; index++) {
+        edits.push({ type: ' ', line: a[index], oldIndex: index, newIndex: index });
+    }
+
+    const rows = endA - start;
+    const columns = endB - start;
+    if (rows * columns > MAX_LCS_CELLS) {
+        for (let index = start; index < endA; index++) {
+            edits.push({ type: '-', line: a[index], oldIndex: index, newIndex: start });
+        }
+        for (let index = start; index < endB; index++) {
+            edits.push({ type: '+', line: b[index], oldIndex: endA, newIndex: index });
+        }
+    } else {
+        // lengths[i][j]: LCS length of a[start + i..endA) and b[start + j..endB)
+        const width = columns + 1;
+        const lengths = new Uint32Array((rows + 1) * width);
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = columns - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[start + i] === b[start + j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < rows || j < columns) {
+            if (i < rows && j < columns && a[start + i] === b[start + j]) {
+                edits.push({ type: ' ', line: a[start + i], oldIndex: start + i, newIndex: start + j });
+                i++;
+                j++;
+            } else if (i < rows && (j === columns || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+                edits.push({ type: '-', line: a[start + i], oldIndex: start + i, newIndex: start + j });
+                i++;
+            } else {
+                edits.push({ type: '+', line: b[start + j], oldIndex: start + i, newIndex: start + j });
+                j++;
+            }
+        }
+    }
+
+    for (let index = 0; index < a.length - endA; index++) {
+        edits.push({ type: ' ', line: a[endA + index], oldIndex: endA + index, newIndex: endB + index });
+    }
+    return edits;
+}
+
+// Hunk header range: start line (1-based, or the line before an empty range) and count
+function formatRange(start, count) {
+    const line = count === 0 ? start : start + 1;
+    return count === 1 ? `${line}` : `${line},${count}`;
+}
+
+/**
+ * Unified diff of two texts
+ * @param {string|null} oldText - Current contents, null when the file does not exist
+ * @param {string} newText - New contents
+ * @param {Object} options - Options
+ * @param {string} options.fromFile - Old file label (default a)
+ * @param {string} options.toFile - New file label (default b)
+ * @param {number} options.context - Context lines around each change (default 3)
+ * @returns {string} Diff, empty when the texts are equal
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+    if (oldText === newText) {
+        return '';
+    }
+    const { fromFile = 'a', toFile = 'b', context = DEFAULT_CONTEXT_LINES } = options;
+    const before = splitLines(oldText === null ? '' : oldText);
+    const after = splitLines(newText);
+
+    // A last line that only gains or loses its newline counts as changed
+    if (!before.endsWithNewline && before.lines.length > 0) {
+        before.lines[before.lines.length - 1] += `\n${NO_NEWLINE}`;
+    }
+    if (!after.endsWithNewline && after.lines.length > 0) {
+        after.lines[after.lines.length - 1] += `\n${NO_NEWLINE}`;
+    }
+
+    const edits = diffLines(before.lines, after.lines);
+    const changed = edits.map((edit, index) => (edit.type !== ' ' ? index : -1)).filter(index => index !== -1);
+
+    // Group changes whose context overlaps into hunks
+    const hunks = [];
+    for (const index of changed) {
+        const from = Math.max(0, index - context);
+        const to = Math.min(edits.length - 1, index + context);
+        const last = hunks[hunks.length - 1];
+        if (last && from <= last.to + 1) {
+            last.to = to;
+        } else {
+            hunks.push({ from, to });
+        }
+    }
+
+    // A new empty file has no lines to show
+    if (hunks.length === 0) {
+        return '';
+    }
+
+    let diff = `--- ${oldText === null ? '/dev/null' : fromFile}\n+++ ${toFile}\n`;
+    for (const { from, to } of hunks) {
+        const lines = edits.slice(from, to + 1);
+        const oldCount = lines.filter(edit => edit.type !== '+').length;
+        const newCount = lines.filter(edit => edit.type !== '-').length;
+        diff += `@@ -${formatRange(edits[from].oldIndex, oldCount)} +${formatRange(edits[from].newIndex, newCount)} @@\n`;
+        diff += lines.map(edit => `${edit.type}${edit.line}\n`).join('');
+    }
+    return diff;
+}
+
+module.exports = {
+    createUnifiedDiff
+};
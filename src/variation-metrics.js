@@ -0,0 +1,273 @@
+/**
+ * Variable Font Metrics
+ * Reads the MVAR table so vertical metrics follow the selected variation instance.
+ * fontkit applies gvar/HVAR when instancing a font but leaves the OS/2 and hhea
+ * values untouched, so the deltas are resolved here from the font file data,
+ * without relying on fontkit internals.
+ * @author Lyubomir Popov
+ */
+
+/**
+ * MVAR value tags that affect the metrics we read, mapped to metric names
+ * hasc/hdsc/hlgp vary the OS/2 typo values, hcla/hcld the usWin* values
+ */
+const MVAR_TAGS = {
+    hasc: 'typoAscender',
+    hdsc: 'typoDescender',
+    hlgp: 'typoLineGap',
+    hcla: 'winAscent',
+    hcld: 'winDescent',
+    cpht: 'capHeight',
+    xhgt: 'xHeight'
+};
+
+/**
+ * Offset of a table in an sfnt (TTF/OTF) file
+ * @param {DataView} view - View over the font data
+ * @param {string} tag - Table tag
+ * @returns {number|null} Absolute offset, or null when the font has no such table
+ */
+function findTable(view, tag) {
+    const numTables = view.getUint16(4);
+    for (let i = 0; i < numTables; i++) {
+        const record = 12 + i * 16;
+        const recordTag = String.fromCharCode(view.getUint8(record), view.getUint8(record + 1), view.getUint8(record + 2), view.getUint8(record + 3));
+        if (recordTag === tag) {
+            return view.getUint32(record + 8);
+        }
+    }
+    return null;
+}
+
+// Data view over a Buffer or Uint8Array
+function toDataView(data) {
+    return new DataView(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Parse an ItemVariationStore
+ * @param {DataView} view - View over the font data
+ * @param {number} offset - Absolute offset of the store
+ * @returns {Object} variationRegions (per region, start/peak/end per axis) and itemVariationData
+ */
+function parseItemVariationStore(view, offset) {
+    const regionListOffset = offset + view.getUint32(offset + 2);
+    const dataCount = view.getUint16(offset + 6);
+
+    const axisCount = view.getUint16(regionListOffset);
+    const regionCount = view.getUint16(regionListOffset + 2);
+    const variationRegions = [];
+    let pos = regionListOffset + 4;
+    for (let r = 0; r < regionCount; r++) {
+        const axes = [];
+        for (let a = 0; a < axisCount; a++) {
+            axes.push({
+                startCoord: view.getInt16(pos) / 16384,
+                peakCoord: view.getInt16(pos + 2) / 16384,
+                endCoord: view.getInt16(pos + 4) / 16384
+            });
+            pos += 6;
+        }
+        variationRegions.push(axes);
+    }
+
+    const itemVariationData = [];
+    for (let i = 0; i < dataCount; i++) {
+        const dataOffset = offset + view.getUint32(offset + 8 + i * 4);
+        const itemCount = view.getUint16(dataOffset);
+        const wordDeltaCount = view.getUint16(dataOffset + 2);
+        const regionIndexCount = view.getUint16(dataOffset + 4);
+        const longWords = (wordDeltaCount & 0x8000) !== 0;
+        const wordCount = wordDeltaCount & 0x7fff;
+
+        const regionIndexes = [];
+        pos = dataOffset + 6;
+        for (let r = 0; r < regionIndexCount; r++) {
+            regionIndexes.push(view.getUint16(pos));
+            pos += 2;
+        }
+
+        const deltaSets = [];
+        for (let item = 0; item < itemCount; item++) {
+            const deltas = [];
+            for (let r = 0; r < regionIndexCount; r++) {
+                if (r < wordCount) {
+                    deltas.push(longWords ? view.getInt32(pos) : view.getInt16(pos));
+                    pos += longWords ? 4 : 2;
+                } else {
+                    deltas.push(longWords ? view.getInt16(pos) : view.getInt8(pos));
+                    pos += longWords ? 2 : 1;
+                }
+            }
+            deltaSets.push(deltas);
+        }
+
+        itemVariationData.push({ regionIndexes, deltaSets });
+    }
+
+    return { variationRegions, itemVariationData };
+}
+
+/**
+ * Parse the MVAR table of a font file
+ * @param {Buffer|Uint8Array} data - Font file data (TTF or OTF)
+ * @returns {Object|null} Value records and item variation store, or null without MVAR
+ */
+function parseMvarTable(data) {
+    const view = toDataView(data);
+    const offset = findTable(view, 'MVAR');
+    if (offset === null) {
+        return null;
+    }
+
+    const valueRecordSize = view.getUint16(offset + 6);
+    const valueRecordCount = view.getUint16(offset + 8);
+    const storeOffset = view.getUint16(offset + 10);
+
+    const valueRecords = [];
+    for (let i = 0; i < valueRecordCount; i++) {
+        const pos = offset + 12 + i * valueRecordSize;
+        valueRecords.push({
+            tag: String.fromCharCode(view.getUint8(pos), view.getUint8(pos + 1), view.getUint8(pos + 2), view.getUint8(pos + 3)),
+            outerIndex: view.getUint16(pos + 4),
+            innerIndex: view.getUint16(pos + 6)
+        });
+    }
+
+    return {
+        valueRecords,
+        itemVariationStore: storeOffset ? parseItemVariationStore(view, offset + storeOffset) : null
+    };
+}
+
+/**
+ * Parse the avar segment maps of a font file
+ * @param {Buffer|Uint8Array} data - Font file data
+ * @returns {Object[][]|null} Per axis, the { from, to } pairs of normalized coordinates, or null without avar
+ */
+function parseAvarTable(data) {
+    const view = toDataView(data);
+    const offset = findTable(view, 'avar');
+    if (offset === null) {
+        return null;
+    }
+
+    const axisCount = view.getUint16(offset + 6);
+    const segmentMaps = [];
+    let pos = offset + 8;
+    for (let a = 0; a < axisCount; a++) {
+        const pairCount = view.getUint16(pos);
+        pos += 2;
+        const pairs = [];
+        for (let p = 0; p < pairCount; p++) {
+            pairs.push({ from: view.getInt16(pos) / 16384, to: view.getInt16(pos + 2) / 16384 });
+            pos += 4;
+        }
+        segmentMaps.push(pairs);
+    }
+    return segmentMaps;
+}
+
+/**
+ * Normalize user axis values to the -1..1 range, through the avar maps
+ * @param {Object} axes - Axes in fvar order, as fontkit's variationAxes ({ wght: { min, default, max } })
+ * @param {Object} settings - Axis values of the instance; missing axes use their default
+ * @param {Object[][]|null} segmentMaps - avar maps from parseAvarTable
+ * @returns {number[]} Normalized coordinate per axis
+ */
+function normalizeCoordinates(axes, settings, segmentMaps = null) {
+    return Object.entries(axes).map(([tag, axis], index) => {
+        const value = Math.max(axis.min, Math.min(axis.max, settings[tag] !== undefined ? settings[tag] : axis.default));
+        let normalized = 0;
+        if (value < axis.default) {
+            normalized = (value - axis.default) / (axis.default - axis.min);
+        } else if (value > axis.default) {
+            normalized = (value - axis.default) / (axis.max - axis.default);
+        }
+
+        const pairs = segmentMaps && segmentMaps[index];
+        if (pairs && pairs.length > 1) {
+            for (let p = 1; p < pairs.length; p++) {
+                if (normalized <= pairs[p].from) {
+                    const previous = pairs[p - 1];
+                    const span = pairs[p].from - previous.from;
+                    normalized = span === 0
+                        ? pairs[p].to
+                        : previous.to + (normalized - previous.from) * (pairs[p].to - previous.to) / span;
+                    break;
+                }
+            }
+        }
+        return normalized;
+    });
+}
+
+/**
+ * Interpolated delta of one item of an ItemVariationStore
+ * @param {Object} store - Store from parseItemVariationStore
+ * @param {number} outerIndex - Item variation data index
+ * @param {number} innerIndex - Delta set index
+ * @param {number[]} coords - Normalized coordinates
+ * @returns {number} Delta in font units
+ */
+function getItemDelta(store, outerIndex, innerIndex, coords) {
+    const data = store.itemVariationData[outerIndex];
+    if (!data || !data.deltaSets[innerIndex]) {
+        return 0;
+    }
+
+    return data.deltaSets[innerIndex].reduce((sum, delta, index) => {
+        const region = store.variationRegions[data.regionIndexes[index]];
+        const scalar = region.reduce((product, { startCoord, peakCoord, endCoord }, axis) => {
+            const coord = coords[axis] || 0;
+            // Axes that do not take part in the region, and invalid ranges, do not limit it
+            if (peakCoord === 0 || startCoord > peakCoord || peakCoord > endCoord || (startCoord < 0 && endCoord > 0)) {
+                return product;
+            }
+            if (coord < startCoord || coord > endCoord) {
+                return 0;
+            }
+            if (coord === peakCoord) {
+                return product;
+            }
+            return product * (coord < peakCoord
+                ? (coord - startCoord) / (peakCoord - startCoord)
+                : (endCoord - coord) / (endCoord - peakCoord));
+        }, 1);
+        return sum + delta * scalar;
+    }, 0);
+}
+
+/**
+ * Resolve the MVAR deltas of a variation instance
+ * @param {Buffer|Uint8Array} data - Font file data (TTF or OTF)
+ * @param {Object} axes - Axes in fvar order, as fontkit's variationAxes
+ * @param {Object} settings - Axis values of the instance
+ * @returns {Object} Deltas in font units keyed by metric name (typoAscender, capHeight, ...)
+ */
+function getMetricDeltas(data, axes, settings) {
+    const deltas = {};
+    const mvar = parseMvarTable(data);
+    if (!mvar || !mvar.itemVariationStore) {
+        return deltas;
+    }
+
+    const coords = normalizeCoordinates(axes, settings, parseAvarTable(data));
+    for (const record of mvar.valueRecords) {
+        const metric = MVAR_TAGS[record.tag];
+        // 0xFFFF/0xFFFF marks a record without variation data
+        if (metric && !(record.outerIndex === 0xffff && record.innerIndex === 0xffff)) {
+            deltas[metric] = Math.round(getItemDelta(mvar.itemVariationStore, record.outerIndex, record.innerIndex, coords));
+        }
+    }
+
+    return deltas;
+}
+
+module.exports = {
+    MVAR_TAGS,
+    parseMvarTable,
+    parseAvarTable,
+    normalizeCoordinates,
+    getMetricDeltas
+};
@@ -0,0 +1,86 @@
+const path = require('path');
+const { validateConfig } = require('../src/config-validator');
+const { getFormatterNames } = require('../src/output-formatters');
+
+// Font paths are resolved from a config file next to the fonts
+const configPath = path.join(path.dirname(require.resolve('@fontsource/inter/package.json')), 'files', 'config.json');
+const upperFormatter = path.join(__dirname, 'fixtures', 'upper-formatter.js');
+const baseConfig = {
+    baselineUnit: 0.5,
+    fontFiles: [{ family: 'sans', path: 'inter-latin-400-normal.woff' }],
+    elements: [{ identifier: 'p', fontSize: 1, lineHeight: 3 }]
+};
+
+describe('formatters and outputs', () => {
+    test('resolves formatter modules without registering them', () => {
+        const { errors } = validateConfig({ ...baseConfig, formatters: [upperFormatter], outputs: [{ format: 'upper' }] }, configPath);
+        expect(errors).toEqual([]);
+        expect(getFormatterNames()).not.toContain('upper');
+    });
+
+    test('reports formatter modules that cannot be found', () => {
+        const { errors } = validateConfig({ ...baseConfig, formatters: ['./missing-formatter.js'] }, configPath);
+        expect(errors).toContainEqual(expect.stringContaining('Cannot find formatter module "./missing-formatter.js"'));
+    });
+
+    test('checks output formats against the built-in names without formatter modules', () => {
+        const { errors } = validateConfig({ ...baseConfig, outputs: [{ format: 'jsno' }] }, configPath);
+        expect(errors).toContainEqual(expect.stringContaining('outputs[0].format must be one of: json,'));
+    });
+});
+
+describe('font files', () => {
+    test('finds font files with another extension like the generator', () => {
+        const config = {
+            ...baseConfig,
+            fontFiles: [{ family: 'sans', path: 'inter-latin-400-normal.ttf' }],
+            fallbacks: [{ name: 'Inter Bold', path: 'inter-latin-700-normal' }]
+        };
+        expect(validateConfig(config, configPath).errors).toEqual([]);
+    });
+
+    test('reports font files missing under every extension', () => {
+        const { errors } = validateConfig({ ...baseConfig, fontFiles: [{ family: 'sans', path: 'missing.woff' }] }, configPath);
+        expect(errors).toContainEqual(expect.stringContaining('Font file not found: missing.woff'));
+    });
+});
+
+describe('type scale', () => {
+    test('keeps validating the rest of the config after scale errors', () => {
+        const { isValid, errors } = validateConfig({ ...baseConfig, baselineUnit: -1, scale: { base: 1, ratio: 0.5, steps: '0..4' } }, configPath);
+        expect(isValid).toBe(false);
+        expect(errors).toEqual(expect.arrayContaining([
+            expect.stringContaining('scale.ratio must be a number larger than 1'),
+            'baselineUnit must be a positive number'
+        ]));
+    });
+});
+
+describe('fluid', () => {
+    test('caps the viewport range the off-grid check scans', () => {
+        expect(validateConfig({ ...baseConfig, fluid: { minViewport: 320, maxViewport: 10000 } }, configPath).errors).toEqual([]);
+        expect(validateConfig({ ...baseConfig, fluid: { minViewport: 320, maxViewport: 1e9 } }, configPath).errors).toEqual([
+            'fluid.maxViewport must be at most 10000 (px); the off-grid check scans every pixel of the range'
+        ]);
+    });
+});
+
+describe('element selector', () => {
+    const elements = [
+        { identifier: 'h1', fontSize: 2, lineHeight: 5 },
+        { identifier: 'lead', fontSize: 1.25, lineHeight: 3 },
+        { identifier: 'x-caption', fontSize: 0.875, lineHeight: 2 }
+    ];
+
+    test('warns about identifiers that are not HTML element names', () => {
+        const { errors, warnings } = validateConfig({ ...baseConfig, elements, css: { selector: 'element' } }, configPath);
+        expect(errors).toEqual([]);
+        expect(warnings).toEqual(['elements[1]: "lead" is not an HTML element name, so the "element" selector matches nothing; use the "class" or "attribute" selector']);
+    });
+
+    test('checks the selector of css outputs too', () => {
+        const outputs = [{ format: 'css', options: { selector: 'element' } }];
+        expect(validateConfig({ ...baseConfig, elements, outputs }, configPath).warnings).toHaveLength(1);
+        expect(validateConfig({ ...baseConfig, elements }, configPath).warnings).toEqual([]);
+    });
+});
@@ -0,0 +1,46 @@
+const { FALLBACK_FONTS, getBuiltInFallback, measureAverageWidth, calculateFallbackOverrides } = require('../src/fallback-metrics');
+
+const webFont = { unitsPerEm: 1000, ascent: 900, descent: -250, lineGap: 0, xWidthAvg: 500 };
+
+describe('calculateFallbackOverrides', () => {
+    test('leaves the size alone when the average widths match', () => {
+        expect(calculateFallbackOverrides(webFont, { unitsPerEm: 2048, xWidthAvg: 1024 })).toEqual({
+            sizeAdjust: 100,
+            ascentOverride: 90,
+            descentOverride: 25,
+            lineGapOverride: 0
+        });
+    });
+
+    test('divides the vertical overrides by size-adjust', () => {
+        expect(calculateFallbackOverrides({ ...webFont, lineGap: 100, xWidthAvg: 1000 }, { unitsPerEm: 2048, xWidthAvg: 1024 })).toEqual({
+            sizeAdjust: 200,
+            ascentOverride: 45,
+            descentOverride: 12.5,
+            lineGapOverride: 5
+        });
+    });
+
+    test('keeps size-adjust at 100% without width information', () => {
+        expect(calculateFallbackOverrides({ ...webFont, xWidthAvg: null }, FALLBACK_FONTS.Arial).sizeAdjust).toBe(100);
+    });
+});
+
+describe('getBuiltInFallback', () => {
+    test('finds built-in fonts by name regardless of case', () => {
+        expect(getBuiltInFallback('times new roman')).toMatchObject({ name: 'Times New Roman', category: 'serif' });
+        expect(getBuiltInFallback('Comic Sans')).toBeNull();
+    });
+});
+
+describe('measureAverageWidth', () => {
+    test('weights the advance widths of the sample characters', () => {
+        // Every glyph 500 units wide, except a missing "z"
+        const font = { glyphForCodePoint: codePoint => (codePoint === 'z'.codePointAt(0) ? { id: 0 } : { id: 1, advanceWidth: 500 }) };
+        expect(measureAverageWidth(font)).toBeCloseTo(500, 6);
+    });
+
+    test('returns null when no sample character has a glyph', () => {
+        expect(measureAverageWidth({ glyphForCodePoint: () => null })).toBeNull();
+    });
+});
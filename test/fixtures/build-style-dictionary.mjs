@@ -0,0 +1,10 @@
+// Style Dictionary 4 is ESM only, so the build runs in its own process
+// Usage: node build-style-dictionary.mjs <source> <buildPath>
+import StyleDictionary from 'style-dictionary';
+import { registerStyleDictionary, createStyleDictionaryConfig } from '../../src/style-dictionary.js';
+
+const [source, buildPath] = process.argv.slice(2);
+
+registerStyleDictionary(StyleDictionary);
+const sd = new StyleDictionary({ ...createStyleDictionaryConfig({ source, buildPath }), log: { verbosity: 'silent' } });
+await sd.buildAllPlatforms();
@@ -0,0 +1,6 @@
+module.exports = {
+    name: 'upper',
+    extension: 'txt',
+    label: 'upper-case identifiers',
+    format: tokens => Object.keys(tokens.elements).map(identifier => identifier.toUpperCase()).join('\n')
+};
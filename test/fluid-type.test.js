@@ -0,0 +1,57 @@
+const { getSampleViewports, interpolateFontSize, buildClamp, groupOffGridRanges } = require('../src/fluid-type');
+
+const fluid = { minViewport: 320, maxViewport: 1280 };
+
+describe('getSampleViewports', () => {
+    test('spreads five widths over the range by default', () => {
+        expect(getSampleViewports(fluid)).toEqual([320, 560, 800, 1040, 1280]);
+    });
+
+    test('adds minViewport to the given samples and sorts them', () => {
+        expect(getSampleViewports({ ...fluid, samples: [1024, 768, 768] })).toEqual([320, 768, 1024]);
+    });
+});
+
+describe('interpolateFontSize', () => {
+    test('grows linearly between the viewports', () => {
+        expect(interpolateFontSize(1, 2, fluid, 800)).toBe(1.5);
+        expect(interpolateFontSize(2, 1, fluid, 560)).toBe(1.75);
+    });
+
+    test('clamps outside the viewports', () => {
+        expect(interpolateFontSize(1, 2, fluid, 0)).toBe(1);
+        expect(interpolateFontSize(1, 2, fluid, 4000)).toBe(2);
+    });
+});
+
+describe('buildClamp', () => {
+    test('builds the preferred value from the slope and intercept', () => {
+        expect(buildClamp(1, 2, fluid, 16)).toBe('clamp(1rem, 1.6667vw + 0.6667rem, 2rem)');
+    });
+
+    test('writes a negative intercept with a minus sign', () => {
+        expect(buildClamp(1, 5, fluid, 16)).toBe('clamp(1rem, 6.6667vw - 0.3333rem, 5rem)');
+    });
+
+    test('matches interpolateFontSize inside the range', () => {
+        const [, vw, sign, rem] = buildClamp(1.25, 3, fluid, 16).match(/([\d.]+)vw ([+-]) ([\d.]+)rem/);
+        const at = viewport => parseFloat(vw) * viewport / 100 / 16 + (sign === '-' ? -1 : 1) * parseFloat(rem);
+        expect(at(1000)).toBeCloseTo(interpolateFontSize(1.25, 3, fluid, 1000), 3);
+    });
+});
+
+describe('groupOffGridRanges', () => {
+    test('groups consecutive widths at or above the tolerance', () => {
+        const offsets = [
+            { viewport: 320, offsetPx: 0 },
+            { viewport: 321, offsetPx: 1.2 },
+            { viewport: 322, offsetPx: -1.567 },
+            { viewport: 323, offsetPx: 0.4 },
+            { viewport: 324, offsetPx: 1 }
+        ];
+        expect(groupOffGridRanges(offsets, 1)).toEqual([
+            { from: 321, to: 322, maxOffsetPx: -1.57 },
+            { from: 324, to: 324, maxOffsetPx: 1 }
+        ]);
+    });
+});
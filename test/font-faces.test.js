@@ -0,0 +1,50 @@
+const { BaselineNudgeGenerator } = require('../src/nudge-generator');
+
+const generator = new BaselineNudgeGenerator();
+const variableAxes = {
+    wght: { name: 'Weight', min: 100, default: 400, max: 900 },
+    wdth: { name: 'Width', min: 75, default: 100, max: 125 },
+    slnt: { name: 'Slant', min: -10, default: 0, max: 0 }
+};
+
+describe('getFontFaceDescriptors', () => {
+    test('declares the resolved weight and style of a static face', () => {
+        expect(generator.getFontFaceDescriptors({ weight: 700, style: 'italic' })).toEqual(['font-weight: 700;', 'font-style: italic;']);
+    });
+
+    test('declares the ranges of free wght, wdth and slnt axes', () => {
+        expect(generator.getFontFaceDescriptors({ weight: 400, style: 'normal', variationAxes: variableAxes })).toEqual([
+            'font-weight: 100 900;',
+            'font-stretch: 75% 125%;',
+            'font-style: oblique 0deg 10deg;'
+        ]);
+    });
+
+    test('declares a single value for axes the variation pins', () => {
+        expect(generator.getFontFaceDescriptors({ weight: 900, style: 'normal', variationAxes: variableAxes, variation: { wght: 900, wdth: 100, slnt: 0 } })).toEqual([
+            'font-weight: 900;',
+            'font-style: normal;'
+        ]);
+    });
+});
+
+describe('resolveFontFace', () => {
+    const regular = { path: 'regular.woff', weight: 400, style: 'normal' };
+    const variable = { path: 'variable.ttf', weight: 400, weightRange: [500, 900], style: 'normal' };
+    const italic = { path: 'italic.woff', weight: 400, style: 'italic' };
+    const family = { faces: [regular, variable, italic] };
+
+    test('matches weights inside the range of a variable face', () => {
+        expect(generator.resolveFontFace(family, 700, 'normal')).toBe(variable);
+        expect(generator.resolveFontFace(family, 400, 'normal')).toBe(regular);
+    });
+
+    test('falls back by the nearest end of a range', () => {
+        expect(generator.resolveFontFace(family, 450, 'normal')).toBe(variable);
+        expect(generator.resolveFontFace(family, 300, 'normal')).toBe(regular);
+    });
+
+    test('matches the style before the weight', () => {
+        expect(generator.resolveFontFace(family, 700, 'italic')).toBe(italic);
+    });
+});
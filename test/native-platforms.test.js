@@ -0,0 +1,59 @@
+const { calculateNativeBaselineOffset, toPlatformName, generateAndroidXml, generateCompose } = require('../src/native-platforms');
+
+// 1000 units per em: at 16pt the ascent is 12.8, the descent 3.2, the cap height 11.2
+const metrics = { unitsPerEm: 1000, ascent: 800, descent: -200, capHeight: 700, xHeight: 500 };
+const style = { fontSize: 16, lineHeight: 24, baselineUnit: 8 };
+
+describe('calculateNativeBaselineOffset', () => {
+    test('iOS puts the extra line height above the glyphs', () => {
+        expect(calculateNativeBaselineOffset(metrics, style, 'ios')).toEqual({ firstBaseline: 20.8, baselineOffset: 3.2 });
+    });
+
+    test('Android puts the extra line height below the glyphs', () => {
+        expect(calculateNativeBaselineOffset(metrics, style, 'android')).toEqual({ firstBaseline: 12.8, baselineOffset: 3.2 });
+    });
+
+    test('Compose centers the glyphs in the line', () => {
+        expect(calculateNativeBaselineOffset(metrics, style, 'compose')).toEqual({ firstBaseline: 16.8, baselineOffset: 7.2 });
+    });
+
+    test('aligns the cap height or x-height line instead of the baseline', () => {
+        expect(calculateNativeBaselineOffset(metrics, { ...style, align: 'capHeight' }, 'ios').baselineOffset).toBe(6.4);
+        expect(calculateNativeBaselineOffset(metrics, { ...style, align: 'xHeight' }, 'ios').baselineOffset).toBe(3.2);
+    });
+
+    test('needs no offset when the baseline is already on the grid', () => {
+        expect(calculateNativeBaselineOffset(metrics, { ...style, lineHeight: 19.2 }, 'ios').baselineOffset).toBe(0);
+    });
+});
+
+describe('toPlatformName', () => {
+    test('builds camel and snake case names', () => {
+        expect(toPlatformName('heading-large', 'camel')).toBe('headingLarge');
+        expect(toPlatformName('headingLarge', 'snake')).toBe('heading_large');
+    });
+
+    test('prefixes names that start with a digit', () => {
+        expect(toPlatformName('2xl', 'camel')).toBe('_2xl');
+    });
+});
+
+describe('Android units', () => {
+    const nativeStyle = { identifier: 'body', fontName: 'Inter', fontWeight: 400, fontStyle: 'normal', fontSize: 16, lineHeight: 24, firstBaseline: 12.8, baselineOffset: 3.2, spaceAfter: 16 };
+
+    test('the XML dimens keep offsets and spacing in sp like the sizes', () => {
+        const xml = generateAndroidXml([nativeStyle], 8);
+        expect(xml).toContain('<dimen name="baseline_unit">8sp</dimen>');
+        expect(xml).toContain('<dimen name="type_body_baseline_offset">3.2sp</dimen>');
+        expect(xml).toContain('<dimen name="type_body_margin_bottom">12.8sp</dimen>');
+        expect(xml).not.toMatch(/\ddp</);
+    });
+
+    test('Compose keeps offsets and spacing in sp', () => {
+        const kotlin = generateCompose([nativeStyle], 8, 'com.example.typography');
+        expect(kotlin).toContain('baselineOffset = 3.2.sp');
+        expect(kotlin).toContain('spaceAfter = 16.sp');
+        expect(kotlin).toContain('val baselineUnit = 8.sp');
+        expect(kotlin).not.toMatch(/\d\.dp\b/);
+    });
+});
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BaselineNudgeGenerator } = require('../src/nudge-generator');
+
+const fontDir = path.join(path.dirname(require.resolve('@fontsource/inter/package.json')), 'files');
+const configPath = path.join(fontDir, 'config.json');
+const config = {
+    baselineUnit: 0.5,
+    fontFiles: [
+        { family: 'sans', path: 'inter-latin-400-normal.woff' },
+        { family: 'display', path: 'inter-latin-700-normal.woff' }
+    ],
+    elements: [
+        { identifier: 'h1', fontFamily: 'display', fontWeight: 700, fontSize: 2, lineHeight: 5, spaceAfter: 1 },
+        { identifier: 'p', fontSize: 1, lineHeight: 3, spaceAfter: 1.5 }
+    ]
+};
+
+let generator;
+let fontMetricsMap;
+
+beforeAll(async () => {
+    generator = new BaselineNudgeGenerator();
+    fontMetricsMap = await generator.loadFontMetrics(config, configPath);
+});
+
+describe('generateNudges', () => {
+    test('calculates fontFiles elements like the tokens', () => {
+        const { elements } = generator.generateTokens(config, fontMetricsMap);
+        const { nudges, spAfters } = generator.generateNudges(config, fontMetricsMap);
+        expect(nudges).toEqual({ h1: parseFloat(elements.h1.nudgeTop), p: parseFloat(elements.p.nudgeTop) });
+        expect(spAfters).toEqual({ h1: 0.5, p: 0.75 });
+    });
+
+    test('uses the metrics of each element\'s family', () => {
+        const { nudges } = generator.generateNudges(config, fontMetricsMap);
+        const display = fontMetricsMap.display;
+        const tallerDisplay = {
+            ...fontMetricsMap,
+            display: { ...display, faces: display.faces.map(face => ({ ...face, ascent: face.ascent + 200 })) }
+        };
+        const shifted = generator.generateNudges(config, tallerDisplay).nudges;
+        expect(shifted.p).toBe(nudges.p);
+        expect(shifted.h1).not.toBe(nudges.h1);
+    });
+
+    test('requires the font metrics map for fontFiles configs', () => {
+        expect(() => new BaselineNudgeGenerator().generateNudges(config)).toThrow('loadFontMetrics');
+    });
+});
+
+describe('generateFile', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-nudges-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    const writeConfig = fileConfig => {
+        const inputPath = path.join(tempDir, 'config.json');
+        fs.writeFileSync(inputPath, JSON.stringify(fileConfig));
+        return inputPath;
+    };
+
+    test('stays synchronous for fontFile configs', () => {
+        const inputPath = writeConfig({
+            baselineUnit: 0.5,
+            fontFile: path.relative(tempDir, path.join(fontDir, 'inter-latin-400-normal.woff')),
+            elements: [{ classname: 'p', fontSize: 1, lineHeight: 3 }]
+        });
+        const outputPath = path.join(tempDir, '_nudges.scss');
+        const result = new BaselineNudgeGenerator().generateFile(inputPath, outputPath);
+        expect(result).not.toBeInstanceOf(Promise);
+        expect(result.outputPath).toBe(outputPath);
+        expect(typeof result.nudges.p).toBe('number');
+        expect(fs.readFileSync(outputPath, 'utf8')).toContain('$nudges:');
+    });
+
+    test('returns a promise for fontFiles configs', async () => {
+        const inputPath = writeConfig({
+            ...config,
+            fontFiles: config.fontFiles.map(fontFile => ({ ...fontFile, path: path.relative(tempDir, path.join(fontDir, fontFile.path)) }))
+        });
+        const outputPath = path.join(tempDir, '_type.scss');
+        const pending = new BaselineNudgeGenerator().generateFile(inputPath, outputPath);
+        expect(pending).toBeInstanceOf(Promise);
+        const { nudges } = await pending;
+        expect(nudges).toEqual(generator.generateNudges(config, fontMetricsMap).nudges);
+        expect(fs.readFileSync(outputPath, 'utf8')).toContain('@mixin type(');
+    });
+});
+
+describe('calculateTrimmedNudgeRem', () => {
+    // 2rem text with a 700/1000 cap height puts the baseline 1.4rem below the trimmed top
+    const metricsGenerator = new BaselineNudgeGenerator({ unitsPerEm: 1000, ascent: 800, descent: -200, lineGap: 0, capHeight: 700, xHeight: 500 });
+
+    test('applies the 1px drift compensation like padding nudges', () => {
+        expect(metricsGenerator.calculateTrimmedNudgeRem(2, 0.5, 'baseline', 16, 'exact')).toBe(0.1);
+        // 1px at a 16px root, divided by the font size and scaled by the 1rem above 1rem
+        expect(metricsGenerator.calculateTrimmedNudgeRem(2, 0.5, 'baseline', 16, 'legacy-compensated')).toBe(0.06875);
+    });
+});
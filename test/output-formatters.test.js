@@ -0,0 +1,57 @@
+const path = require('path');
+const { registerFormatter, getFormatterNames, resolveFormatter, loadFormatterModule, getDefaultOutputs } = require('../src/output-formatters');
+
+describe('formatter registry', () => {
+    test('registers the built-in formats', () => {
+        expect(getFormatterNames()).toEqual(expect.arrayContaining(['json', 'html', 'css', 'custom-properties', 'fallbacks', 'fluid', 'scss', 'dtcg', 'tailwind', 'ios', 'android', 'compose']));
+        expect(resolveFormatter('json')).toMatchObject({ fileName: 'tokens.json', extension: 'json', label: 'tokens' });
+    });
+
+    test('derives the file name and label of a new formatter', () => {
+        const format = () => '';
+        registerFormatter('plain', '.txt', format);
+        expect(resolveFormatter('plain')).toEqual({ name: 'plain', extension: 'txt', fileName: 'plain.txt', label: 'plain output', format });
+    });
+
+    test('rejects formatters without a name, extension or format function', () => {
+        expect(() => registerFormatter('', 'txt', () => '')).toThrow('non-empty string');
+        expect(() => registerFormatter('nothing', '', () => '')).toThrow('file extension');
+        expect(() => registerFormatter('nothing', 'txt', 'text')).toThrow('format function');
+    });
+
+    test('refuses to replace a registered name unless asked to', () => {
+        const format = () => 'first';
+        const replacement = () => 'second';
+        registerFormatter('twice', 'txt', format);
+        expect(() => registerFormatter('twice', 'txt', replacement)).toThrow('Formatter "twice" is already registered');
+        expect(() => registerFormatter('json', 'json', replacement)).toThrow('already registered');
+        expect(resolveFormatter('twice').format).toBe(format);
+
+        registerFormatter('twice', 'txt', replacement, { override: true });
+        expect(resolveFormatter('twice')).toEqual({ name: 'twice', extension: 'txt', fileName: 'twice.txt', label: 'twice output', format: replacement });
+    });
+
+    test('lists the available formats for an unknown name', () => {
+        expect(() => resolveFormatter('jsno')).toThrow(/Unknown output format "jsno"\. Available: json, /);
+    });
+
+    test('loads formatters from a module relative to a directory', () => {
+        expect(loadFormatterModule('./upper-formatter.js', path.join(__dirname, 'fixtures'))).toEqual(['upper']);
+        const formatter = resolveFormatter('upper');
+        expect(formatter.fileName).toBe('upper.txt');
+        expect(formatter.format({ elements: { h1: {}, p: {} } })).toBe('H1\nP');
+    });
+
+    test('loads the same module again without a collision', () => {
+        const fixtures = path.join(__dirname, 'fixtures');
+        loadFormatterModule('./upper-formatter.js', fixtures);
+        expect(loadFormatterModule('./upper-formatter.js', fixtures)).toEqual(['upper']);
+    });
+});
+
+describe('getDefaultOutputs', () => {
+    test('adds the fallbacks and fluid outputs when configured', () => {
+        expect(getDefaultOutputs({}).map(output => output.format)).toEqual(['json', 'html', 'css', 'custom-properties']);
+        expect(getDefaultOutputs({ fallbacks: ['Arial'], fluid: {} }).map(output => output.format)).toEqual(['json', 'html', 'fallbacks', 'css', 'custom-properties', 'fluid']);
+    });
+});
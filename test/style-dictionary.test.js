@@ -0,0 +1,63 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BaselineNudgeGenerator } = require('../src/nudge-generator');
+
+const configPath = path.join(path.dirname(require.resolve('@fontsource/inter/package.json')), 'files', 'config.json');
+const config = {
+    baselineUnit: 0.5,
+    fontFiles: [{ family: 'sans', path: 'inter-latin-400-normal.woff' }],
+    elements: [
+        { identifier: 'h1', fontWeight: 700, fontSize: 2, lineHeight: 5, spaceAfter: 1 },
+        { identifier: 'p', fontSize: 1, lineHeight: 3, spaceAfter: 1.5, breakpoints: { '768px': { fontSize: 1.125, lineHeight: 3 } } }
+    ]
+};
+
+let tempDir;
+let tokens;
+const read = file => fs.readFileSync(path.join(tempDir, 'build', file), 'utf8');
+
+// Builds the four platforms of createStyleDictionaryConfig from an exported source file
+beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-nudges-sd-'));
+    const generator = new BaselineNudgeGenerator();
+    const fontMetricsMap = await generator.loadFontMetrics(config, configPath);
+    tokens = generator.generateTokens(config, fontMetricsMap);
+    const source = path.join(tempDir, 'tokens.style-dictionary.json');
+    fs.writeFileSync(source, JSON.stringify(generator.generateStyleDictionaryTokens(tokens, fontMetricsMap)));
+    execFileSync(process.execPath, [path.join(__dirname, 'fixtures', 'build-style-dictionary.mjs'), source, path.join(tempDir, 'build')], { timeout: 60000 });
+});
+
+afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('Style Dictionary build', () => {
+    test('applies the rem transform on top of the css and scss groups', () => {
+        expect(read('css/variables.css')).toContain('--size-font-h1: 2rem;');
+        expect(read('scss/_variables.scss')).toContain('$size-font-h1: 2rem;');
+    });
+
+    test('keeps the element, property and breakpoint keys for the class and mixin formats', () => {
+        const css = read('css/typography.css');
+        expect(css).toContain('.h1 {\n  font-family: \'Inter\', sans-serif;\n  font-weight: 700;');
+        expect(css).toContain(`padding-top: ${tokens.elements.h1.nudgeTop};`);
+        expect(css).toMatch(/@media \(min-width: 768px\) \{\n {2}\.p \{\n {4}font-size: 1\.125rem;/);
+        expect(read('scss/_typography.scss')).toContain('@mixin type-p {');
+    });
+
+    test('converts sizes to points for iOS', () => {
+        expect(read('ios/Typography.swift')).toMatch(/sizeFontH1 = CGFloat\(32(\.0+)?\)/);
+    });
+
+    test('writes Android sizes, nudges and spacing in sp next to the font tokens', () => {
+        const xml = read('android/typography.xml');
+        expect(xml).toContain('<dimen name="size_font_h1">32sp</dimen>');
+        expect(xml).toMatch(/<dimen name="size_nudge_h1">[\d.]+sp<\/dimen>/);
+        expect(xml).toContain('<dimen name="size_space_after_h1">8sp</dimen>');
+        expect(xml).not.toMatch(/\ddp</);
+        expect(xml).toContain('<string name="font_family_h1">Inter</string>');
+        expect(xml).toMatch(/<string name="font_style_h1">normal<\/string>/);
+    });
+});
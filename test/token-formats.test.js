@@ -0,0 +1,97 @@
+const path = require('path');
+const { BaselineNudgeGenerator } = require('../src/nudge-generator');
+
+// Config paths are resolved from a config file next to the fonts
+const configPath = path.join(path.dirname(require.resolve('@fontsource/inter/package.json')), 'files', 'config.json');
+const config = {
+    baselineUnit: 0.5,
+    fontFiles: [{ family: 'sans', path: 'inter-latin-400-normal.woff' }],
+    elements: [
+        { identifier: 'h1', fontSize: 2, lineHeight: 5, spaceAfter: 1 },
+        { identifier: 'p', fontSize: 1, lineHeight: 3, spaceAfter: 1.5, breakpoints: { '768px': { fontSize: 1.125, lineHeight: 3 } } }
+    ]
+};
+
+let generator;
+let fontMetricsMap;
+let tokens;
+
+beforeAll(async () => {
+    generator = new BaselineNudgeGenerator();
+    fontMetricsMap = await generator.loadFontMetrics(config, configPath);
+    tokens = generator.generateTokens(config, fontMetricsMap);
+});
+
+describe('generateDTCGTokens', () => {
+    test('writes dimension tokens for the sizes of each element', () => {
+        const { type } = generator.generateDTCGTokens(tokens, fontMetricsMap);
+        expect(type.h1.fontSize).toEqual({ $type: 'dimension', $value: { value: 2, unit: 'rem' } });
+        expect(type.h1.lineHeight.$value).toEqual({ value: 2.5, unit: 'rem' });
+        expect(type.h1.nudge.$value).toEqual({ value: parseFloat(tokens.elements.h1.nudgeTop), unit: 'rem' });
+        expect(type.h1.spaceAfter.$value).toEqual({ value: 0.5, unit: 'rem' });
+    });
+
+    test('composes a typography token from references and a unitless line height', () => {
+        const { type } = generator.generateDTCGTokens(tokens, fontMetricsMap);
+        expect(type.h1.style.$type).toBe('typography');
+        expect(type.h1.style.$value).toMatchObject({
+            fontFamily: '{font.family.sans}',
+            fontSize: '{type.h1.fontSize}',
+            fontWeight: '{type.h1.fontWeight}',
+            lineHeight: 1.25
+        });
+    });
+
+    test('adds the font family, baseline unit and breakpoint values', () => {
+        const dtcg = generator.generateDTCGTokens(tokens, fontMetricsMap);
+        expect(dtcg.font.family.sans.$value).toEqual(['Inter', 'sans-serif']);
+        expect(dtcg.baseline.unit.$value).toEqual({ value: 0.5, unit: 'rem' });
+        expect(dtcg.type.p.breakpoints['768px'].fontSize.$value).toEqual({ value: 1.125, unit: 'rem' });
+        expect(dtcg.type.h1.breakpoints).toBeUndefined();
+    });
+
+    test('keeps the clamp() of fluid elements under $extensions', () => {
+        const fluidConfig = {
+            ...config,
+            fluid: { minViewport: 320, maxViewport: 1280 },
+            elements: [{ identifier: 'h1', fontSize: 2, lineHeight: 5, fluid: { maxFontSize: 3 } }]
+        };
+        const fluidTokens = generator.generateTokens(fluidConfig, fontMetricsMap);
+        const { fontSize } = generator.generateDTCGTokens(fluidTokens, fontMetricsMap).type.h1;
+        expect(fontSize.$value).toEqual({ value: 2, unit: 'rem' });
+        expect(fontSize.$extensions).toEqual({ 'com.baseline-nudges': { fluid: fluidTokens.elements.h1.fluid.fontSize } });
+        expect(fontSize.$extensions['com.baseline-nudges'].fluid).toMatch(/^clamp\(2rem, /);
+    });
+});
+
+describe('generateTailwindPreset', () => {
+    // Evaluate the preset with a stand-in for tailwindcss/plugin
+    const loadPreset = source => {
+        const module = { exports: {} };
+        const requirePlugin = name => {
+            expect(name).toBe('tailwindcss/plugin');
+            return handler => ({ handler });
+        };
+        new Function('require', 'module', source)(requirePlugin, module);
+        return module.exports;
+    };
+
+    test('adds a font size with line height per element', () => {
+        const preset = loadPreset(generator.generateTailwindPreset(tokens, fontMetricsMap));
+        expect(preset.theme.extend.fontSize.h1).toEqual(['2rem', { lineHeight: '2.5rem' }]);
+        expect(preset.theme.extend.fontFamily.sans).toEqual(['Inter', 'sans-serif']);
+        expect(preset.theme.extend.spacing['baseline-5']).toBe('calc(var(--baseline-unit) * 5)');
+    });
+
+    test('adds the nudge, margin and breakpoint styles in a plugin', () => {
+        const preset = loadPreset(generator.generateTailwindPreset(tokens, fontMetricsMap));
+        const added = {};
+        preset.plugins[0].handler({ addBase: base => Object.assign(added, { base }), addUtilities: utilities => Object.assign(added, { utilities }) });
+
+        expect(added.base[':root']['--baseline-unit']).toBe('0.5rem');
+        const h1 = added.utilities['.text-h1'];
+        expect(h1.paddingTop).toBe(tokens.elements.h1.nudgeTop);
+        expect(parseFloat(h1.marginBottom)).toBeCloseTo(0.5 - parseFloat(tokens.elements.h1.nudgeTop), 5);
+        expect(added.utilities['.text-p']['@media (min-width: 768px)']).toMatchObject({ fontSize: '1.125rem', lineHeight: '1.5rem' });
+    });
+});
@@ -0,0 +1,78 @@
+const { MAX_SCALE_STEPS, parseSteps, validateScale, expandScale, expandConfig } = require('../src/type-scale');
+
+describe('parseSteps', () => {
+    test('expands a range string', () => {
+        expect(parseSteps('-2..2')).toEqual([-2, -1, 0, 1, 2]);
+        expect(parseSteps(' 3 .. 3 ')).toEqual([3]);
+    });
+
+    test('accepts an array of integers', () => {
+        expect(parseSteps([0, 2, 5])).toEqual([0, 2, 5]);
+    });
+
+    test('rejects descending ranges, fractions and other values', () => {
+        expect(parseSteps('4..1')).toBeNull();
+        expect(parseSteps([1, 1.5])).toBeNull();
+        expect(parseSteps('1-4')).toBeNull();
+        expect(parseSteps(4)).toBeNull();
+    });
+
+    test('rejects ranges and arrays of more than MAX_SCALE_STEPS steps', () => {
+        expect(parseSteps(`1..${MAX_SCALE_STEPS}`)).toHaveLength(MAX_SCALE_STEPS);
+        expect(parseSteps(`0..${MAX_SCALE_STEPS}`)).toBeNull();
+        expect(parseSteps('0..1000000000')).toBeNull();
+        expect(parseSteps(Array.from({ length: MAX_SCALE_STEPS + 1 }, (step, index) => index))).toBeNull();
+        expect(validateScale({ base: 1, ratio: 1.25, steps: '0..1000' })).toEqual([
+            `scale.steps must be an array of integers or a range such as "-2..6", with at most ${MAX_SCALE_STEPS} steps`
+        ]);
+    });
+});
+
+describe('expandScale', () => {
+    test('multiplies the base by the ratio per step', () => {
+        const elements = expandScale({ base: 1, ratio: 2, steps: '-1..1' });
+        expect(elements).toEqual([
+            { identifier: 'fontSize--1', fontSize: 0.5, lineHeight: 'auto' },
+            { identifier: 'fontSize-0', fontSize: 1, lineHeight: 'auto' },
+            { identifier: 'fontSize-1', fontSize: 2, lineHeight: 'auto' }
+        ]);
+    });
+
+    test('rounds font sizes and applies the name pattern and element defaults', () => {
+        const [element] = expandScale({ base: 1, ratio: 1.25, steps: [1], round: 0.125, namePattern: 'text-{step}', element: { lineHeight: 3, fontWeight: 700 } });
+        expect(element).toEqual({ identifier: 'text-1', fontSize: 1.25, lineHeight: 3, fontWeight: 700 });
+    });
+
+    test('keeps the step identifier and font size over the element defaults', () => {
+        const [element] = expandScale({ base: 1, ratio: 2, steps: [1], element: { identifier: 'x', fontSize: 9 } });
+        expect(element).toMatchObject({ identifier: 'fontSize-1', fontSize: 2 });
+    });
+});
+
+describe('validateScale', () => {
+    test('accepts a complete scale', () => {
+        expect(validateScale({ base: 1, ratio: 1.25, steps: '0..4' })).toEqual([]);
+    });
+
+    test('reports identifier and fontSize in the element defaults', () => {
+        expect(validateScale({ base: 1, ratio: 1.25, steps: '0..4', element: { fontSize: 2 } })).toEqual([
+            'scale.element.fontSize is set per step by the scale'
+        ]);
+    });
+});
+
+describe('expandConfig', () => {
+    test('replaces steps with explicit elements of the same identifier', () => {
+        const config = expandConfig({
+            baselineUnit: 0.5,
+            scale: { base: 1, ratio: 2, steps: '0..1' },
+            elements: [{ identifier: 'fontSize-1', fontSize: 2, lineHeight: 6 }, { identifier: 'caption', fontSize: 0.75, lineHeight: 2 }]
+        });
+        expect(config.scale).toBeUndefined();
+        expect(config.elements.map(element => [element.identifier, element.lineHeight])).toEqual([
+            ['fontSize-0', 'auto'],
+            ['fontSize-1', 6],
+            ['caption', 2]
+        ]);
+    });
+});
@@ -0,0 +1,61 @@
+const { createUnifiedDiff } = require('../src/unified-diff');
+
+const lines = (...values) => values.map(value => `${value}\n`).join('');
+
+describe('createUnifiedDiff', () => {
+    test('returns an empty string for equal texts', () => {
+        expect(createUnifiedDiff('a\nb\n', 'a\nb\n')).toBe('');
+    });
+
+    test('shows a changed line with its context', () => {
+        expect(createUnifiedDiff(lines('a', 'b', 'c'), lines('a', 'B', 'c'), { fromFile: 'old.css', toFile: 'new.css' })).toBe(
+            '--- old.css\n+++ new.css\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n'
+        );
+    });
+
+    test('diffs a new file against /dev/null', () => {
+        expect(createUnifiedDiff(null, lines('x', 'y'))).toBe('--- /dev/null\n+++ b\n@@ -0,0 +1,2 @@\n+x\n+y\n');
+    });
+
+    test('returns an empty string for a new empty file', () => {
+        expect(createUnifiedDiff(null, '')).toBe('');
+    });
+
+    test('marks a last line that loses its newline', () => {
+        expect(createUnifiedDiff('a\n', 'a')).toBe('--- a\n+++ b\n@@ -1 +1 @@\n-a\n+a\n\\ No newline at end of file\n');
+    });
+
+    test('marks a last line that gains its newline', () => {
+        expect(createUnifiedDiff('a\nb', 'a\nb\n')).toBe('--- a\n+++ b\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b\n');
+    });
+
+    test('splits changes further apart than the context into hunks', () => {
+        const before = lines('l1', 'l2', 'l3', 'l4', 'l5', 'l6', 'l7', 'l8', 'l9', 'l10');
+        const after = lines('l1', 'L2', 'l3', 'l4', 'l5', 'l6', 'l7', 'l8', 'L9', 'l10');
+        expect(createUnifiedDiff(before, after, { context: 1 })).toBe(
+            '--- a\n+++ b\n' +
+            '@@ -1,3 +1,3 @@\n l1\n-l2\n+L2\n l3\n' +
+            '@@ -8,3 +8,3 @@\n l8\n-l9\n+L9\n l10\n'
+        );
+    });
+
+    test('merges hunks whose context overlaps', () => {
+        const before = lines('l1', 'l2', 'l3', 'l4', 'l5');
+        const after = lines('l1', 'L2', 'l3', 'L4', 'l5');
+        expect(createUnifiedDiff(before, after, { context: 1 })).toBe(
+            '--- a\n+++ b\n@@ -1,5 +1,5 @@\n l1\n-l2\n+L2\n l3\n-l4\n+L4\n l5\n'
+        );
+    });
+
+    test('keeps common lines between insertions and deletions', () => {
+        expect(createUnifiedDiff(lines('a', 'b', 'c', 'd'), lines('b', 'c', 'x', 'd'))).toBe(
+            '--- a\n+++ b\n@@ -1,4 +1,4 @@\n-a\n b\n c\n+x\n d\n'
+        );
+    });
+
+    test('numbers the hunk of an insertion into an empty range after the line before it', () => {
+        const before = lines('1', '2', '3', '4', '5', '6', '7', '8');
+        const after = lines('1', '2', '3', '4', 'new', '5', '6', '7', '8');
+        expect(createUnifiedDiff(before, after, { context: 0 })).toBe('--- a\n+++ b\n@@ -4,0 +5 @@\n+new\n');
+    });
+});
@@ -0,0 +1,103 @@
+const { parseMvarTable, parseAvarTable, normalizeCoordinates, getMetricDeltas } = require('../src/variation-metrics');
+
+// Big-endian byte writers for building tables by hand
+const u16 = value => [(value >> 8) & 0xff, value & 0xff];
+const u32 = value => [...u16(Math.floor(value / 0x10000)), ...u16(value & 0xffff)];
+const f2dot14 = value => u16(Math.round(value * 16384) & 0xffff);
+const tag = name => [...name].map(character => character.charCodeAt(0));
+
+// sfnt file with the given tables, laid out one after another behind the table directory
+function buildFont(tables) {
+    const entries = Object.entries(tables);
+    let offset = 12 + entries.length * 16;
+    const directory = [];
+    const data = [];
+    for (const [name, bytes] of entries) {
+        directory.push(...tag(name), ...u32(0), ...u32(offset), ...u32(bytes.length));
+        data.push(...bytes);
+        offset += bytes.length;
+    }
+    return Buffer.from([...u32(0x00010000), ...u16(entries.length), ...u16(0), ...u16(0), ...u16(0), ...directory, ...data]);
+}
+
+// One axis; region 0 peaks at the minimum, region 1 at the maximum
+function buildItemVariationStore(deltaSets) {
+    const regionList = [...u16(1), ...u16(2), ...f2dot14(-1), ...f2dot14(-1), ...f2dot14(0), ...f2dot14(0), ...f2dot14(1), ...f2dot14(1)];
+    // First region as int16 words, the second as int8
+    const itemData = [...u16(deltaSets.length), ...u16(1), ...u16(2), ...u16(0), ...u16(1)];
+    deltaSets.forEach(([minDelta, maxDelta]) => itemData.push(...u16(minDelta & 0xffff), maxDelta & 0xff));
+    const header = 2 + 4 + 2 + 4;
+    return [...u16(1), ...u32(header), ...u16(1), ...u32(header + regionList.length), ...regionList, ...itemData];
+}
+
+function buildMvar(records, deltaSets) {
+    const header = 12 + records.length * 8;
+    const valueRecords = records.flatMap(([name, outer, inner]) => [...tag(name), ...u16(outer), ...u16(inner)]);
+    return [...u16(1), ...u16(0), ...u16(0), ...u16(8), ...u16(records.length), ...u16(header), ...valueRecords, ...buildItemVariationStore(deltaSets)];
+}
+
+function buildAvar(pairs) {
+    return [...u16(1), ...u16(0), ...u16(0), ...u16(1), ...u16(pairs.length), ...pairs.flatMap(([from, to]) => [...f2dot14(from), ...f2dot14(to)])];
+}
+
+const axes = { wght: { name: 'Weight', min: 100, default: 400, max: 900 } };
+const mvar = buildMvar(
+    [['cpht', 0, 1], ['hasc', 0, 0], ['undo', 0, 0], ['xhgt', 0xffff, 0xffff]],
+    [[-40, 60], [-20, 12]]
+);
+
+describe('parseMvarTable', () => {
+    test('reads the value records and the item variation store', () => {
+        const table = parseMvarTable(buildFont({ MVAR: mvar }));
+        expect(table.valueRecords).toEqual([
+            { tag: 'cpht', outerIndex: 0, innerIndex: 1 },
+            { tag: 'hasc', outerIndex: 0, innerIndex: 0 },
+            { tag: 'undo', outerIndex: 0, innerIndex: 0 },
+            { tag: 'xhgt', outerIndex: 0xffff, innerIndex: 0xffff }
+        ]);
+        expect(table.itemVariationStore.variationRegions).toEqual([
+            [{ startCoord: -1, peakCoord: -1, endCoord: 0 }],
+            [{ startCoord: 0, peakCoord: 1, endCoord: 1 }]
+        ]);
+        expect(table.itemVariationStore.itemVariationData).toEqual([{ regionIndexes: [0, 1], deltaSets: [[-40, 60], [-20, 12]] }]);
+    });
+
+    test('returns null for a font without MVAR', () => {
+        expect(parseMvarTable(buildFont({ avar: buildAvar([[-1, -1], [0, 0], [1, 1]]) }))).toBeNull();
+    });
+});
+
+describe('normalizeCoordinates', () => {
+    test('maps the axis range to -1..1 around the default', () => {
+        expect(normalizeCoordinates(axes, { wght: 100 })).toEqual([-1]);
+        expect(normalizeCoordinates(axes, { wght: 650 })).toEqual([0.5]);
+        expect(normalizeCoordinates(axes, {})).toEqual([0]);
+        expect(normalizeCoordinates(axes, { wght: 2000 })).toEqual([1]);
+    });
+
+    test('applies the avar segment maps', () => {
+        const segmentMaps = parseAvarTable(buildFont({ avar: buildAvar([[-1, -1], [0, 0], [0.5, 0.25], [1, 1]]) }));
+        expect(segmentMaps).toEqual([[{ from: -1, to: -1 }, { from: 0, to: 0 }, { from: 0.5, to: 0.25 }, { from: 1, to: 1 }]]);
+        expect(normalizeCoordinates(axes, { wght: 650 }, segmentMaps)).toEqual([0.25]);
+        expect(normalizeCoordinates(axes, { wght: 775 }, segmentMaps)[0]).toBeCloseTo(0.625, 6);
+    });
+});
+
+describe('getMetricDeltas', () => {
+    test('interpolates the deltas of the metrics it reads', () => {
+        const font = buildFont({ MVAR: mvar });
+        expect(getMetricDeltas(font, axes, { wght: 900 })).toEqual({ capHeight: 12, typoAscender: 60 });
+        expect(getMetricDeltas(font, axes, { wght: 100 })).toEqual({ capHeight: -20, typoAscender: -40 });
+        expect(getMetricDeltas(font, axes, { wght: 650 })).toEqual({ capHeight: 6, typoAscender: 30 });
+        expect(getMetricDeltas(font, axes, { wght: 400 })).toEqual({ capHeight: 0, typoAscender: 0 });
+    });
+
+    test('normalizes through avar before interpolating', () => {
+        const font = buildFont({ MVAR: mvar, avar: buildAvar([[-1, -1], [0, 0], [0.5, 0.25], [1, 1]]) });
+        expect(getMetricDeltas(font, axes, { wght: 650 })).toEqual({ capHeight: 3, typoAscender: 15 });
+    });
+
+    test('returns no deltas without MVAR', () => {
+        expect(getMetricDeltas(buildFont({}), axes, { wght: 700 })).toEqual({});
+    });
+});